@@ -1,21 +1,63 @@
 // Beam search aligner with online DP for M2
 import { normalizeWord } from "./tokenize.js";
 import { get as levenshtein } from "./libs/levenshtein-esm.js";
-import { doubleMetaphone } from "double-metaphone";
+import { phoneticEncoder, foldDiacritics } from "./phonetics.js";
 
 const FILLERS = new Set(["uh", "um", "er", "ah", "eh", "mm", "hmm"]);
+const DELETION_COST = 0.5; // moderate cost for skipping a text word
+const INSERTION_COST = 0.3;
+const FILLER_COST = 0.1; // low cost for fillers
+const MAX_REPEAT_WORDS = 5; // longest phrase checked for repetitions
+const ATTEMPT_SIMILARITY = 0.5; // minimum similarity for a self-correction attempt
+const MIN_MISMATCH_WEIGHT = 0.3; // mismatch cost scale for a word with zero confidence
+const UNSURE_CONFIDENCE = 0.5; // mismatches heard with less confidence are marked unsure, not incorrect
+const MERGE_COST = 0.1; // per extra spoken word joined into one text word ("every one")
+const SPLIT_COST = 0.1; // per extra text word covered by one spoken word ("everyone")
+const MAX_MERGE_WORDS = 3;
+const MAX_SPLIT_WORDS = 3;
+const ANCHOR_WORDS = 4; // spoken words that must match elsewhere in the text to re-synchronize
+const MAX_ANCHOR_WORDS = 8; // longest anchor tried when a shorter one matches in several places
+const ANCHOR_SIMILARITY = 0.95; // anchors elsewhere must match (nearly) exactly
+const ANCHOR_SEARCH_COST = 0.2; // mean cost per spoken word above which anchors are looked for
+const RECENT_WORDS = 50; // spoken words kept for realigning after a backtrack
+const REALIGN_WIDENING = 2; // beam and window scale when realigning
+
+// One step of an alignment history. Nodes link back to the steps before
+// them and are never changed, so states branching from the same history
+// share it instead of copying it.
+class PathNode {
+	constructor(step, prev) {
+		this.step = step;
+		this.prev = prev;
+	}
+}
 
 // Alignment state for beam search
 class AlignmentState {
-	constructor(textPos, spokenPos, cost, path) {
+	constructor(textPos, spokenPos, cost, path, inside) {
 		this.textPos = textPos;      // position in text tokens
 		this.spokenPos = spokenPos;  // position in spoken words
 		this.cost = cost;            // cumulative cost
-		this.path = path || [];      // alignment history
+		this.path = path || null;    // alignment history: last PathNode
+		// Partway through several spoken words for the token at textPos:
+		// { textPos, words, time } plus either `readings`, the multi-word
+		// readings the words still fit, or `merge` for joined-up words
+		this.inside = inside || null;
 	}
 	
 	clone() {
-		return new AlignmentState(this.textPos, this.spokenPos, this.cost, [...this.path]);
+		return new AlignmentState(this.textPos, this.spokenPos, this.cost, this.path, this.inside);
+	}
+
+	addStep(step) {
+		this.path = new PathNode(step, this.path);
+	}
+
+	// Alignment history, oldest step first
+	steps() {
+		const steps = [];
+		for (let node = this.path; node; node = node.prev) steps.push(node.step);
+		return steps.reverse();
 	}
 }
 
@@ -26,29 +68,105 @@ export class Aligner {
 		this.beamWidth = 4; // default beam width
 		this.threshold = 0.8; // similarity threshold
 		this.margin = 0.1; // cost margin for advancing
+		this.deletionCost = DELETION_COST;
+		this.insertionCost = INSERTION_COST;
+		this.fillerCost = FILLER_COST;
 		this.windowSize = 10; // rolling window size for text tokens
 		this.phoneticEnabled = true; // enable phonetic matching by default
 		this.phoneticWeight = 0.6; // weight of phonetic vs text similarity
-		this.spokenBuffer = []; // buffer of spoken words
+		this.spokenBuffer = []; // buffer of spoken words: { word, time, alternatives, confidence }
+		this.recentWords = []; // last RECENT_WORDS spoken words, oldest first
 		this.beam = []; // current beam states
-		// ui hooks: { updateStatus(tokenIndex, status), setPointer(idx), setTitle(tokenIndex, title) }
+		this._forms = new WeakMap(); // token → single-word forms it can be read as
+		this.lang = "en";
+		this._encode = phoneticEncoder(this.lang);
+		this._wordForms = new Map(); // spoken-form word → token-like { norm, phonetic }
+		this.lexicon = {}; // pronunciation lexicon entries, see lexicon.js
+		this._lexicon = new Map(); // text word → { words, readings, codes }
+		this._similarities = new Map(); // text word → spoken word → _combinedSimilarity
+		this._windows = new Map(); // text position → window tokens from there
+		this._words = []; // token indices of the words, for anchor search
+		this._ordinals = new Map(); // token index → position in _words
+		this._groups = null; // words that read alike: { token, ordinals }, see _readingGroups
+		this._anchorIndex = new Map(); // minimum similarity → spoken word → Set of positions in _words
+		tokens.forEach((t, i) => {
+			if (!t.isWord) return;
+			this._ordinals.set(i, this._words.length);
+			this._words.push(i);
+		});
+		this._rereadEnd = -1; // while rereading, words before this keep their marks
+		// ui hooks: { updateStatus(tokenIndex, status), setPointer(idx), setTitle(tokenIndex, title),
+		// resync(fromIdx, toIdx) }
 		this.ui = ui;
 		
 		// Initialize beam with starting state
 		this._resetBeam();
 	}
 
-	setConfig({ beamWidth, threshold, margin, windowSize, phoneticEnabled, phoneticWeight }) {
+	setConfig({
+		beamWidth,
+		threshold,
+		margin,
+		deletionCost,
+		insertionCost,
+		fillerCost,
+		windowSize,
+		phoneticEnabled,
+		phoneticWeight,
+		lang,
+	}) {
 		if (Number.isFinite(beamWidth))
 			this.beamWidth = Math.max(2, Math.min(10, Math.floor(beamWidth)));
 		if (Number.isFinite(threshold))
 			this.threshold = Math.min(1, Math.max(0, threshold));
 		if (Number.isFinite(margin))
 			this.margin = Math.min(1, Math.max(0, margin));
-		if (Number.isFinite(windowSize))
+		// Edit costs, e.g. tuned from teacher overrides (see costProfiles.js)
+		if (Number.isFinite(deletionCost)) this.deletionCost = Math.min(2, Math.max(0, deletionCost));
+		if (Number.isFinite(insertionCost)) this.insertionCost = Math.min(2, Math.max(0, insertionCost));
+		if (Number.isFinite(fillerCost)) this.fillerCost = Math.min(2, Math.max(0, fillerCost));
+		if (Number.isFinite(windowSize)) {
 			this.windowSize = Math.max(5, Math.min(20, Math.floor(windowSize)));
+			this._windows = new Map();
+		}
 		if (typeof phoneticEnabled === 'boolean') this.phoneticEnabled = phoneticEnabled;
 		if (Number.isFinite(phoneticWeight)) this.phoneticWeight = Math.max(0, Math.min(1, phoneticWeight));
+		// Scores depend on the phonetic settings
+		this._similarities = new Map();
+		this._anchorIndex = new Map();
+		// Should match the language the tokens were encoded with
+		if (typeof lang === 'string' && lang && lang !== this.lang) {
+			this.lang = lang;
+			this._encode = phoneticEncoder(lang);
+			this._wordForms = new Map();
+			this._forms = new WeakMap();
+			this.setLexicon(this.lexicon);
+		}
+	}
+
+	// Accepted spoken variants per text word: { word: { spoken, phonetic } }.
+	// One-word variants and their phonetic codes count as exact matches;
+	// longer variants are treated like multi-word readings of the word.
+	setLexicon(entries) {
+		this.lexicon = entries || {};
+		this._lexicon = new Map();
+		this._similarities = new Map();
+		this._anchorIndex = new Map();
+		for (const [word, entry] of Object.entries(this.lexicon)) {
+			const words = new Set();
+			const readings = [];
+			const codes = new Set(entry.phonetic || []);
+			for (const variant of entry.spoken || []) {
+				const parts = variant.split(" ");
+				if (parts.length > 1) {
+					readings.push(parts);
+					continue;
+				}
+				words.add(variant);
+				for (const code of this._encode(variant)) if (code) codes.add(code);
+			}
+			this._lexicon.set(word, { words, readings, codes });
+		}
 	}
 
 	setPointer(idx) {
@@ -56,16 +174,26 @@ export class Aligner {
 		if (this.ui?.setPointer) this.ui.setPointer(idx);
 	}
 
-	// Consume a finalized phrase; split to words and advance
-	advanceWithPhrase(phrase) {
-		if (!phrase) return 0;
-		const words = phrase
-			.split(/\s+/)
-			.map((w) => normalizeWord(w))
-			.filter((w) => w);
+	// Move to a new position without notifying the UI (e.g. manual jumps, resume)
+	jumpTo(idx) {
+		this.pointer = idx;
+		this._resetBeam();
+	}
+
+	// Consume a finalized phrase; split to words and advance.
+	// wordTimes optionally gives a timestamp per whitespace-separated word.
+	// hypotheses optionally carries the recognizer's N-best list
+	// ({ transcript, confidence }, best first) and per-word confidences.
+	advanceWithPhrase(phrase, wordTimes, hypotheses) {
+		if (!phrase || this.pointer < 0) return 0;
+		const words = this._spokenWords(phrase, wordTimes, hypotheses);
 		
 		// Add words to spoken buffer
 		this.spokenBuffer.push(...words);
+		this.recentWords.push(...words);
+		if (this.recentWords.length > RECENT_WORDS) {
+			this.recentWords.splice(0, this.recentWords.length - RECENT_WORDS);
+		}
 		
 		// Process alignment with beam search
 		this._processBeamSearch();
@@ -74,15 +202,82 @@ export class Aligner {
 		return words.length;
 	}
 
+	/**
+	 * Align the recent spoken words again from idx, after the marks from
+	 * there on were reset (a backtrack), so words that were read need not
+	 * be read again. Words heard before `since` are left out. The search
+	 * runs with a wider beam and window, and its best path is kept even if
+	 * others are close since no more words will follow.
+	 * Returns the number of spoken words realigned.
+	 */
+	realignFrom(idx, since) {
+		const words = this.recentWords.filter((s) => s.time >= since);
+		if (words.length === 0 || idx < 0) return 0;
+		const { beamWidth, windowSize } = this;
+		this.beamWidth = Math.min(10, beamWidth * REALIGN_WIDENING);
+		this.windowSize = Math.min(20, windowSize * REALIGN_WIDENING);
+		this._windows = new Map();
+		this._rereadEnd = -1;
+		this.jumpTo(idx);
+		this.spokenBuffer = words;
+		this._processBeamSearch();
+		if (this.beam.some((s) => s.path)) {
+			this.pointer = this._nextWordIndex(this._commitBest() - 1);
+			this._resetBeam();
+		}
+		this.beamWidth = beamWidth;
+		this.windowSize = windowSize;
+		this._windows = new Map();
+		// The page moved the pointer to where it backtracked to
+		this.setPointer(this.pointer);
+		return words.length;
+	}
+
+	// Align an interim transcript without committing anything: the beam is
+	// restored afterwards, so the final result is still aligned from scratch.
+	// Returns the text positions the best path matches and where it would end.
+	previewPhrase(phrase) {
+		const words = (phrase || "").trim().split(/\s+/).map(normalizeWord).filter(Boolean);
+		if (words.length === 0 || this.pointer < 0) return { matched: [], pointer: this.pointer };
+		const saved = this.beam;
+		for (const word of words) this._expandBeam({ word });
+		const best = this.beam.reduce((a, b) => (b.cost < a.cost ? b : a));
+		this.beam = saved;
+		return {
+			matched: best.steps().flatMap((s) => {
+				if (s.type === 'match' || s.type === 'merge') return [s.textPos];
+				return s.type === 'split' ? s.textPositions : [];
+			}),
+			pointer: this._nextWordIndex(best.textPos - 1),
+		};
+	}
+
 	// Main beam search processing
 	_processBeamSearch() {
 		if (this.spokenBuffer.length === 0) return;
 		
-		// Expand beam with new spoken words
-		for (const spokenWord of this.spokenBuffer) {
-			this._expandBeam(spokenWord);
+		const start = this.beam;
+		for (const spoken of this.spokenBuffer) {
+			this._expandBeam(spoken);
+		}
+		
+		// The reader may have jumped ahead or gone back beyond the window,
+		// which is only looked for when the words fit here poorly: words
+		// before the jump are aligned here, the rest from the anchor
+		const added = (minCost(this.beam) - minCost(start)) / this.spokenBuffer.length;
+		const anchor = added > ANCHOR_SEARCH_COST ? this._findAnchor(this.spokenBuffer) : null;
+		if (anchor) {
+			this.beam = start;
+			for (const spoken of this.spokenBuffer.slice(0, anchor.spokenIndex)) {
+				this._expandBeam(spoken);
+			}
+			this._resync(anchor.textPos, this._commitBest());
+			for (const spoken of this.spokenBuffer.slice(anchor.spokenIndex)) {
+				this._expandBeam(spoken);
+			}
 		}
 		
+		this._closeMerges();
 		// Check if we can advance the pointer
 		this._checkAdvancement();
 		
@@ -90,19 +285,93 @@ export class Aligner {
 		this.spokenBuffer = [];
 	}
 
-	// Expand beam with a new spoken word
-	_expandBeam(spokenWord) {
-		const newBeam = [];
-		// Precompute phonetic codes for spoken word once for this expansion
-		let spokenPhonetic = ["", ""];
-		if (this.phoneticEnabled) {
-			try {
-				const codes = doubleMetaphone(spokenWord);
-				if (Array.isArray(codes)) spokenPhonetic = [codes[0] || "", codes[1] || ""];
-			} catch (_) {}
+	// Split a phrase into spoken words. Alternatives with the same number of
+	// words as the best hypothesis contribute a candidate at each position;
+	// the others are aligned on their own and replace it if they fit better.
+	_spokenWords(phrase, wordTimes, { alternatives, wordConfidences } = {}) {
+		const now = Date.now();
+		const words = [];
+		phrase
+			.trim()
+			.split(/\s+/)
+			.forEach((w, i) => {
+				const word = normalizeWord(w);
+				if (!word) return;
+				words.push({
+					word,
+					time: wordTimes?.[i] ?? now,
+					alternatives: [],
+					confidence: validConfidence(wordConfidences?.[i] ?? alternatives?.[0]?.confidence),
+				});
+			});
+		const others = [];
+		for (const alt of (alternatives || []).slice(1)) {
+			const altWords = (alt.transcript || "").trim().split(/\s+/).map(normalizeWord).filter(Boolean);
+			if (altWords.length === 0) continue;
+			if (altWords.length !== words.length) {
+				// Times are spread over the best hypothesis' words
+				others.push(altWords.map((word, i) => ({
+					word,
+					time: words[Math.floor((i * words.length) / altWords.length)]?.time ?? now,
+					alternatives: [],
+					confidence: validConfidence(alt.confidence),
+				})));
+				continue;
+			}
+			altWords.forEach((w, i) => {
+				if (w !== words[i].word && !words[i].alternatives.includes(w)) words[i].alternatives.push(w);
+			});
+		}
+		let best = words;
+		let bestScore = others.length ? this._hypothesisScore(words) : 0;
+		for (const other of others) {
+			const score = this._hypothesisScore(other);
+			if (score + this.margin < bestScore) {
+				best = other;
+				bestScore = score;
+			}
+		}
+		return best;
+	}
+
+	// How well spoken words continue the current alignment, lower is better.
+	// Each text word they cover is credited a deletion, so a hypothesis is
+	// not preferred just for leaving words out. The beam is left unchanged.
+	_hypothesisScore(words) {
+		const saved = this.beam;
+		for (const spoken of words) this._expandBeam(spoken);
+		let score = Infinity;
+		for (const state of this.beam) {
+			let covered = 0;
+			for (const step of state.steps()) {
+				if (step.type === 'split') covered += step.textPositions.length;
+				else if (step.type !== 'insertion' && step.type !== 'deletion') covered++;
+			}
+			score = Math.min(score, state.cost - covered * this.deletionCost);
 		}
+		this.beam = saved;
+		return score;
+	}
+
+	// Expand beam with a new spoken word: { word, time, alternatives, confidence }
+	_expandBeam(spoken) {
+		const newBeam = [];
+		// Candidate words (best hypothesis first) with phonetic codes computed once
+		const candidates = [spoken.word, ...(spoken.alternatives || [])].map((word) => ({
+			word,
+			phonetic: this._phonetic(word),
+		}));
 		
 		for (const state of this.beam) {
+			// A multi-word reading in progress can only be continued
+			if (state.inside) {
+				newBeam.push(...this._continueReading(state, spoken, candidates));
+				continue;
+			}
+			
+			// Insertion transition (extra spoken word) stays at the current text position
+			newBeam.push(this._insertionTransition(state, spoken.word, spoken.time));
+			
 			// Get available text tokens in window
 			const textTokens = this._getTextTokensInWindow(state.textPos);
 			
@@ -110,9 +379,10 @@ export class Aligner {
 				const textPos = textTokens[i].index;
 				const textToken = textTokens[i].token;
 				
-				// Generate possible transitions
-				const transitions = this._generateTransitions(state, textPos, textToken, spokenWord, spokenPhonetic);
+				// Generate possible transitions; window tokens before this one are skipped
+				const transitions = this._generateTransitions(state, textPos, textToken, spoken, candidates, textTokens.slice(0, i));
 				newBeam.push(...transitions);
+				newBeam.push(...this._splitTransitions(state, textTokens, i, spoken, candidates));
 			}
 		}
 		
@@ -121,73 +391,313 @@ export class Aligner {
 	}
 
 	// Generate possible transitions from current state
-	_generateTransitions(state, textPos, textToken, spokenWord, spokenPhonetic) {
-		const transitions = [];
+	_generateTransitions(state, textPos, textToken, spoken, candidates, skipped = []) {
+		const base = this._withDeletions(state, skipped);
+		
+		// Readings of several words ("forty two" for "42") and joined-up words
+		// ("do not" for "don't") start here and finish in _continueReading
+		const started = [
+			...this._startReadings(base, textPos, textToken, spoken, candidates),
+			...this._startMerge(base, textPos, textToken, spoken),
+		];
+		
+		// Score the text word against the hypothesis that matches it best,
+		// in any of the single-word forms it can be read as
+		const { sim, heard } = this._bestMatch(candidates, this._singleForms(textToken));
+		base.textPos = textPos + 1;
+		base.spokenPos = state.spokenPos + 1;
 		
-		// Match transition
-		if (this._canMatch(spokenWord, spokenPhonetic, textToken)) {
-			const sim = this._combinedSimilarity(spokenWord, spokenPhonetic, textToken);
-			const matchCost = 1 - sim;
-			const newState = state.clone();
-			newState.textPos = textPos + 1;
-			newState.spokenPos = state.spokenPos + 1;
-			newState.cost += matchCost;
-			newState.path.push({
+		if (sim >= this.threshold) {
+			// Match transition
+			const cost = 1 - sim;
+			base.cost += cost;
+			base.addStep({
 				type: 'match',
 				textPos: textPos,
-				spokenWord: spokenWord,
-				cost: matchCost
+				spokenWord: heard,
+				time: spoken.time,
+				cost: cost
+			});
+		} else {
+			// Substitution transition; a word the recognizer was unsure of may
+			// have been misheard, so it costs less and is not held against
+			// the reader (see _applyPath)
+			const confidence = spoken.confidence ?? 1;
+			const cost = this._substitutionCost(sim, confidence);
+			base.cost += cost;
+			base.addStep({
+				type: 'substitution',
+				textPos: textPos,
+				spokenWord: spoken.word,
+				time: spoken.time,
+				expected: textToken.norm,
+				confidence: confidence,
+				cost: cost
 			});
-			transitions.push(newState);
 		}
-		
-		// Substitution transition
-		const subSim = this._combinedSimilarity(spokenWord, spokenPhonetic, textToken);
-		const subCost = 1 - subSim;
-		const subState = state.clone();
-		subState.textPos = textPos + 1;
-		subState.spokenPos = state.spokenPos + 1;
-		subState.cost += subCost;
-		subState.path.push({
-			type: 'substitution',
-			textPos: textPos,
-			spokenWord: spokenWord,
-			expected: textToken.norm,
-			cost: subCost
-		});
-		transitions.push(subState);
-		
-		// Deletion transition (skip text token)
-		const delState = state.clone();
-		delState.textPos = textPos + 1;
-		delState.spokenPos = state.spokenPos;
-		delState.cost += 0.5; // moderate cost for deletion
-		delState.path.push({
-			type: 'deletion',
-			textPos: textPos,
-			expected: textToken.norm,
-			cost: 0.5
-		});
-		transitions.push(delState);
-		
-		// Insertion transition (extra spoken word)
-		const insertCost = FILLERS.has(spokenWord) ? 0.1 : 0.3; // low cost for fillers
+		return [base, ...started];
+	}
+
+	_substitutionCost(sim, confidence) {
+		const weight = confidence < UNSURE_CONFIDENCE ? Math.max(MIN_MISMATCH_WEIGHT, confidence) : 1;
+		return (1 - sim) * weight;
+	}
+
+	// Copy of state with deletions for text tokens jumped over
+	_withDeletions(state, skipped) {
+		const base = state.clone();
+		for (const s of skipped) {
+			base.cost += this.deletionCost;
+			base.addStep({
+				type: 'deletion',
+				textPos: s.index,
+				expected: s.token.norm,
+				cost: this.deletionCost
+			});
+		}
+		return base;
+	}
+
+	// One spoken word covering the next two or three text words
+	// ("everyone" for "every one")
+	_splitTransitions(state, textTokens, i, spoken, candidates) {
+		const states = [];
+		let joined = textTokens[i].token.norm;
+		for (let n = 2; n <= MAX_SPLIT_WORDS && i + n - 1 < textTokens.length; n++) {
+			const covered = textTokens.slice(i, i + n);
+			joined += covered[n - 1].token.norm;
+			let sim = -1;
+			let heard = spoken.word;
+			for (const c of candidates) {
+				const s = similarity(c.word, joined);
+				if (s > sim) {
+					sim = s;
+					heard = c.word;
+				}
+			}
+			if (sim < this.threshold) continue;
+			const next = this._withDeletions(state, textTokens.slice(0, i));
+			const cost = 1 - sim + SPLIT_COST * (n - 1);
+			next.textPos = covered[n - 1].index + 1;
+			next.spokenPos = state.spokenPos + 1;
+			next.cost += cost;
+			next.addStep({
+				type: 'split',
+				textPos: covered[0].index,
+				textPositions: covered.map((t) => t.index),
+				spokenWord: heard,
+				time: spoken.time,
+				cost: cost
+			});
+			states.push(next);
+		}
+		return states;
+	}
+
+	// Start joining spoken words when this one begins the text word. Until
+	// the merge completes it costs what reading just the words heard so far
+	// would ("dog" for "dogs"), so it cannot look better than that reading.
+	_startMerge(base, textPos, textToken, spoken) {
+		const norm = textToken.norm;
+		if (spoken.word.length >= norm.length || !norm.startsWith(spoken.word)) return [];
+		const confidence = spoken.confidence ?? 1;
+		const charged = this._substitutionCost(similarity(spoken.word, norm), confidence);
+		const next = base.clone();
+		next.textPos = textPos;
+		next.spokenPos = base.spokenPos + 1;
+		next.cost += charged;
+		next.inside = { textPos, words: [spoken.word], time: spoken.time, merge: true, charged, confidence };
+		return [next];
+	}
+
+	// Add a spoken word to a merge: complete when the joined words match the
+	// text word, continue while they are still its beginning. Either way the
+	// cost charged for the shorter prefix is replaced.
+	_extendMerge(state, spoken) {
+		const inside = state.inside;
+		const words = [...inside.words, spoken.word];
+		const joined = words.join("");
+		const norm = this.tokens[inside.textPos].norm;
+		const confidence = Math.min(inside.confidence, spoken.confidence ?? 1);
+		const states = [];
+		const sim = similarity(joined, norm);
+		if (sim >= this.threshold) {
+			const cost = 1 - sim + MERGE_COST * (words.length - 1);
+			const done = state.clone();
+			done.textPos = inside.textPos + 1;
+			done.spokenPos = state.spokenPos + 1;
+			done.cost += cost - inside.charged;
+			done.inside = null;
+			done.addStep({
+				type: 'merge',
+				textPos: inside.textPos,
+				spokenWord: words.join(" "),
+				time: inside.time,
+				cost: cost
+			});
+			states.push(done);
+		}
+		if (words.length < MAX_MERGE_WORDS && joined.length < norm.length && norm.startsWith(joined)) {
+			const charged = this._substitutionCost(sim, confidence);
+			const next = state.clone();
+			next.spokenPos = state.spokenPos + 1;
+			next.cost += charged - inside.charged;
+			next.inside = { ...inside, words, charged, confidence };
+			states.push(next);
+		}
+		return states;
+	}
+
+	// A merge still open when the phrase ends was only part of the word:
+	// it becomes the substitution it has been charged as
+	_closeMerges() {
+		this.beam = this._pruneBeam(this.beam.map((state) => {
+			if (!state.inside?.merge) return state;
+			const { textPos, words, time, charged, confidence } = state.inside;
+			const closed = state.clone();
+			closed.textPos = textPos + 1;
+			closed.inside = null;
+			closed.addStep({
+				type: 'substitution',
+				textPos: textPos,
+				spokenWord: words.join(" "),
+				time: time,
+				expected: this.tokens[textPos].norm,
+				confidence: confidence,
+				cost: charged
+			});
+			return closed;
+		}));
+	}
+
+	// Best similarity between any spoken candidate and any form
+	_bestMatch(candidates, forms) {
+		let sim = -1;
+		let heard = candidates[0].word;
+		for (const c of candidates) {
+			for (const form of forms) {
+				const s = this._combinedSimilarity(c.word, c.phonetic, form);
+				if (s > sim) {
+					sim = s;
+					heard = c.word;
+				}
+			}
+		}
+		return { sim, heard };
+	}
+
+	// The token itself plus its one-word spoken forms ("doctor" for "Dr")
+	_singleForms(token) {
+		let forms = this._forms.get(token);
+		if (!forms) {
+			forms = [token];
+			for (const r of token.readings || []) {
+				if (r.length === 1) forms.push(this._wordForm(r[0]));
+			}
+			this._forms.set(token, forms);
+		}
+		return forms;
+	}
+
+	// States entering the multi-word readings whose first word was heard
+	_startReadings(base, textPos, textToken, spoken, candidates) {
+		const readings = (textToken.readings || []).filter((r) => r.length > 1);
+		const entry = this._lexicon.get(textToken.norm);
+		if (entry) readings.push(...entry.readings);
+		return this._extendReading(base, { textPos, words: [], readings, time: spoken.time }, spoken, candidates);
+	}
+
+	_continueReading(state, spoken, candidates) {
+		if (state.inside.merge) return this._extendMerge(state, spoken);
+		return this._extendReading(state, state.inside, spoken, candidates);
+	}
+
+	// Consume one spoken word of a multi-word reading. Returns a completed
+	// match state for readings that end here and an in-progress state for
+	// longer ones.
+	_extendReading(state, inside, spoken, candidates) {
+		const k = inside.words.length;
+		let sim = -1;
+		let heard = spoken.word;
+		const fitting = [];
+		for (const r of inside.readings) {
+			const m = this._bestMatch(candidates, [this._wordForm(r[k])]);
+			if (m.sim < this.threshold) continue;
+			fitting.push(r);
+			if (m.sim > sim) {
+				sim = m.sim;
+				heard = m.heard;
+			}
+		}
+		if (fitting.length === 0) return [];
+		const words = [...inside.words, heard];
+		const cost = 1 - sim;
+		const states = [];
+		if (fitting.some((r) => r.length === k + 1)) {
+			const done = state.clone();
+			done.textPos = inside.textPos + 1;
+			done.spokenPos = state.spokenPos + 1;
+			done.cost += cost;
+			done.inside = null;
+			done.addStep({
+				type: 'match',
+				textPos: inside.textPos,
+				spokenWord: words.join(" "),
+				time: inside.time,
+				cost: cost
+			});
+			states.push(done);
+		}
+		const longer = fitting.filter((r) => r.length > k + 1);
+		if (longer.length) {
+			const next = state.clone();
+			next.textPos = inside.textPos;
+			next.spokenPos = state.spokenPos + 1;
+			next.cost += cost;
+			next.inside = { ...inside, words, readings: longer };
+			states.push(next);
+		}
+		return states;
+	}
+
+	// Insertion transition (extra spoken word between text tokens)
+	_insertionTransition(state, spokenWord, spokenTime) {
+		const insertCost = FILLERS.has(spokenWord) ? this.fillerCost : this.insertionCost;
 		const insertState = state.clone();
-		insertState.textPos = textPos;
 		insertState.spokenPos = state.spokenPos + 1;
 		insertState.cost += insertCost;
-		insertState.path.push({
+		insertState.addStep({
 			type: 'insertion',
+			textPos: state.textPos, // gap before this text position
 			spokenWord: spokenWord,
+			time: spokenTime,
 			cost: insertCost
 		});
-		transitions.push(insertState);
-		
-		return transitions;
+		return insertState;
 	}
 
-	// Combined similarity using text and phonetic codes
+	// Combined similarity using text and phonetic codes. The score only
+	// depends on the two words, so it is computed once per pair.
 	_combinedSimilarity(spokenWord, spokenPhonetic, textToken) {
+		let scores = this._similarities.get(textToken.norm);
+		if (!scores) {
+			scores = new Map();
+			this._similarities.set(textToken.norm, scores);
+		}
+		let sim = scores.get(spokenWord);
+		if (sim === undefined) {
+			sim = this._scoreSimilarity(spokenWord, spokenPhonetic, textToken);
+			scores.set(spokenWord, sim);
+		}
+		return sim;
+	}
+
+	_scoreSimilarity(spokenWord, spokenPhonetic, textToken) {
+		const entry = this._lexicon.get(textToken.norm);
+		if (entry) {
+			if (entry.words.has(spokenWord)) return 1;
+			if (this.phoneticEnabled && spokenPhonetic && spokenPhonetic.some((c) => c && entry.codes.has(c))) return 1;
+		}
 		const textSim = similarity(spokenWord, textToken.norm);
 		if (!this.phoneticEnabled) return textSim;
 		// If token has phonetic codes, compare
@@ -225,9 +735,16 @@ export class Aligner {
 		if (this.beam.length === 0) return;
 		
 		// Find best state
-		const bestState = this.beam.reduce((best, current) => 
+		let bestState = this.beam.reduce((best, current) => 
 			current.cost < best.cost ? current : best
 		);
+		// Wait for the rest of a multi-word reading, unless reading the
+		// words without it is about as good
+		if (bestState.inside) {
+			const done = this.beam.filter((s) => !s.inside && s.cost <= bestState.cost + this.margin);
+			if (done.length === 0) return;
+			bestState = done.reduce((best, current) => (current.cost < best.cost ? current : best));
+		}
 		
 		// Check if best state is significantly ahead
 		const bestTextPos = bestState.textPos;
@@ -244,37 +761,250 @@ export class Aligner {
 			(bestTextPos > this.pointer + 2 && bestCost < this.beam.length * 0.5)) {
 			
 			// Apply the best path
-			this._applyPath(bestState.path);
-			this.setPointer(bestTextPos);
+			this._applyPath(bestState.steps(), bestTextPos);
+			// Continue from the next word rather than the separator after the last one
+			this.setPointer(this._nextWordIndex(bestTextPos - 1));
+			if (this.pointer < 0 || this.pointer >= this._rereadEnd) this._rereadEnd = -1;
 			
 			// Reset beam for next iteration
 			this._resetBeam();
 		}
 	}
 
-	// Apply alignment path to tokens
-	_applyPath(path) {
+	// Apply the best path so far even if other states are close, before
+	// the alignment continues somewhere else. Returns where that path ends.
+	_commitBest() {
+		const best = this.beam.reduce((a, b) => (b.cost < a.cost ? b : a));
+		if (best.path) this._applyPath(best.steps(), best.textPos);
+		return best.textPos;
+	}
+
+	// Find where the spoken words continue when it is not near the pointer:
+	// the first run of ANCHOR_WORDS (or more, until unambiguous) that matches
+	// exactly one place outside the window and nothing near the pointer.
+	// Far matches must be near-exact; near ones only need the usual threshold.
+	// Returns { spokenIndex, textPos } or null.
+	_findAnchor(spokenWords) {
+		const here = this._ordinals.get(this.pointer);
+		if (here === undefined) return null;
+		const words = [];
+		spokenWords.forEach((s, i) => {
+			if (!FILLERS.has(s.word)) words.push({ word: s.word, index: i });
+		});
+		for (let k = 0; k + ANCHOR_WORDS <= words.length; k++) {
+			// Where the run would start if the reader kept going; repetitions of
+			// the words just read are handled as miscues, not as rereading
+			const expected = here + k;
+			const near = (o, n) => o >= expected - MAX_REPEAT_WORDS - n && o <= expected + this.windowSize;
+			for (let n = ANCHOR_WORDS; n <= MAX_ANCHOR_WORDS && k + n <= words.length; n++) {
+				const run = words.slice(k, k + n).map((w) => w.word);
+				if (this._anchorStarts(run, this.threshold).some((o) => near(o, n))) break;
+				const starts = this._anchorStarts(run, ANCHOR_SIMILARITY);
+				if (starts.length === 0) break;
+				if (starts.length === 1) {
+					return { spokenIndex: words[k].index, textPos: this._words[starts[0]] };
+				}
+			}
+		}
+		return null;
+	}
+
+	// Word positions where the text reads the given spoken words with at
+	// least `minSim`. The positions of each spoken word are kept until the
+	// scores change, so each word is looked up in the text once.
+	_anchorStarts(words, minSim) {
+		let index = this._anchorIndex.get(minSim);
+		if (!index) {
+			index = new Map();
+			this._anchorIndex.set(minSim, index);
+		}
+		const matching = words.map((w) => {
+			let found = index.get(w);
+			if (!found) {
+				found = new Set();
+				const phonetic = this._phonetic(w);
+				for (const { token, ordinals } of this._readingGroups()) {
+					// Scored directly: caching every word of the text per spoken
+					// word would only fill _similarities
+					const forms = this._singleForms(token);
+					if (forms.some((f) => this._scoreSimilarity(w, phonetic, f) >= minSim)) {
+						for (const o of ordinals) found.add(o);
+					}
+				}
+				index.set(w, found);
+			}
+			return found;
+		});
+		return [...matching[0]].filter((o) => matching.every((found, k) => found.has(o + k)));
+	}
+
+	// The text's words grouped by how they can be read, so each distinct
+	// word is scored once; built on first use
+	_readingGroups() {
+		if (!this._groups) {
+			const groups = new Map();
+			this._words.forEach((idx, o) => {
+				const t = this.tokens[idx];
+				const key = [t.norm, ...(t.readings || []).map((r) => r.join(" "))].join("|");
+				let group = groups.get(key);
+				if (!group) {
+					group = { token: t, ordinals: [] };
+					groups.set(key, group);
+				}
+				group.ordinals.push(o);
+			});
+			this._groups = [...groups.values()];
+		}
+		return this._groups;
+	}
+
+	// Continue at textPos, coming from text position `from`. Words passed over
+	// when jumping ahead are skipped; when going back to reread, the marks
+	// already made are kept.
+	_resync(textPos, from) {
+		const previous = this.pointer;
+		if (textPos > from) {
+			for (let i = this._nextWordIndex(from - 1); i >= 0 && i < textPos; i = this._nextWordIndex(i)) {
+				if (this.tokens[i].status === "pending") this._mark(i, "skipped", "");
+			}
+		} else {
+			this._rereadEnd = Math.max(this._rereadEnd, from);
+		}
+		this.setPointer(textPos);
+		this._resetBeam();
+		if (this.ui?.resync) this.ui.resync(previous, textPos);
+	}
+
+	// Apply alignment path to tokens. Runs of inserted spoken words are
+	// classified as repetitions, self-corrections or plain insertions.
+	_applyPath(path, endPos) {
+		let inserted = [];
 		for (const step of path) {
+			if (step.type === 'insertion') {
+				inserted.push(step.spokenWord);
+				continue;
+			}
+			const attempt = inserted.length
+				? this._resolveInsertions(step.textPos, inserted, step)
+				: "";
+			inserted = [];
 			switch (step.type) {
 				case 'match':
-					this._mark(step.textPos, "correct", step.spokenWord);
+					if (attempt) this._mark(step.textPos, "selfcorrected", step.spokenWord, attempt, step.time);
+					else this._mark(step.textPos, "correct", step.spokenWord, "", step.time);
+					break;
+				case 'merge':
+					this._mark(step.textPos, "correct", step.spokenWord, "", step.time);
+					break;
+				case 'split':
+					for (const pos of step.textPositions) this._mark(pos, "correct", step.spokenWord, "", step.time);
 					break;
 				case 'substitution':
-					this._mark(step.textPos, "incorrect", step.spokenWord);
+					// A mismatch the recognizer was unsure of may be its own mishearing
+					if (step.confidence < UNSURE_CONFIDENCE) {
+						this._mark(step.textPos, "unsure", step.spokenWord, "", step.time, step.confidence);
+					} else {
+						this._mark(step.textPos, "incorrect", step.spokenWord, "", step.time, step.confidence);
+					}
 					break;
 				case 'deletion':
 					this._mark(step.textPos, "skipped", "");
 					break;
-				case 'insertion':
-					// Insertions don't mark tokens, just consume spoken words
-					break;
 			}
 		}
+		if (inserted.length) this._resolveInsertions(endPos, inserted, null);
 	}
 
-	// Get text tokens in rolling window
+	// Classify spoken words inserted in the gap before gapPos. Returns the
+	// attempt word when the run ends in a self-correction of the next step.
+	_resolveInsertions(gapPos, words, nextStep) {
+		let rest = words.filter((w) => !FILLERS.has(w));
+		if (rest.length === 0) return "";
+		
+		// Wrong word followed by the right one: the previous word was self-corrected
+		const prevIdx = this._prevWordIndex(gapPos);
+		const prev = this.tokens[prevIdx];
+		if (prev && prev.status === "incorrect" && this._sameWord(rest[0], prev)) {
+			this._mark(prevIdx, "selfcorrected", rest[0], prev.heard, prev.readAt);
+			rest = rest.slice(1);
+		}
+		
+		// Re-reading the words just before the gap
+		let n;
+		while ((n = this._repeatLength(gapPos, rest)) > 0) {
+			this._addMiscue(gapPos, { type: "repetition", words: rest.slice(0, n) });
+			rest = rest.slice(n);
+		}
+		
+		// An attempt at the next word right before reading it correctly
+		let attempt = "";
+		const last = rest[rest.length - 1];
+		if (last && nextStep?.type === 'match' && this._isAttempt(last, this.tokens[nextStep.textPos])) {
+			attempt = rest.pop();
+		}
+		
+		if (rest.length) this._addMiscue(gapPos, { type: "insertion", words: rest });
+		return attempt;
+	}
+
+	// Number of leading spoken words that repeat the text words just before gapPos
+	_repeatLength(gapPos, words) {
+		const before = [];
+		for (let i = this._prevWordIndex(gapPos); i >= 0 && before.length < MAX_REPEAT_WORDS; i = this._prevWordIndex(i)) {
+			before.unshift(this.tokens[i]);
+		}
+		for (let n = Math.min(words.length, before.length); n > 0; n--) {
+			const phrase = before.slice(before.length - n);
+			if (phrase.every((t, k) => this._sameWord(words[k], t))) return n;
+		}
+		return 0;
+	}
+
+	_sameWord(word, token) {
+		return this._bestMatch([{ word, phonetic: this._phonetic(word) }], this._singleForms(token)).sim >= this.threshold;
+	}
+
+	// Phonetic codes of a spoken word in the aligner's language
+	_phonetic(word) {
+		return this.phoneticEnabled ? this._encode(word) : ["", ""];
+	}
+
+	// A spoken-form word shaped like a text token for _combinedSimilarity
+	_wordForm(word) {
+		let form = this._wordForms.get(word);
+		if (!form) {
+			form = { norm: word, phonetic: this._encode(word) };
+			this._wordForms.set(word, form);
+		}
+		return form;
+	}
+
+	_isAttempt(word, token) {
+		if (!token) return false;
+		return word[0] === token.norm[0] || similarity(word, token.norm) >= ATTEMPT_SIMILARITY;
+	}
+
+	// Attach an insertion/repetition to the gap before gapPos. Gaps are stored on
+	// the following word, or after the last word at the end of the text.
+	_addMiscue(gapPos, miscue) {
+		let idx = this._nextWordIndex(gapPos - 1);
+		let where = "before";
+		if (idx < 0) {
+			idx = this._prevWordIndex(gapPos);
+			where = "after";
+		}
+		const t = this.tokens[idx];
+		if (!t) return;
+		t.miscues = [...(t.miscues || []), { ...miscue, where }];
+		if (this.ui?.setMiscues) this.ui.setMiscues(idx, t.miscues);
+	}
+
+	// Get text tokens in rolling window. The tokens never change, so each
+	// window is built once and shared by every state at that position.
 	_getTextTokensInWindow(startPos) {
-		const tokens = [];
+		let tokens = this._windows.get(startPos);
+		if (tokens) return tokens;
+		tokens = [];
 		let pos = startPos;
 		let count = 0;
 		
@@ -289,25 +1019,31 @@ export class Aligner {
 			pos++;
 		}
 		
+		this._windows.set(startPos, tokens);
 		return tokens;
 	}
 
 	// Prune beam to specified width
 	_pruneBeam(states) {
+		// Every state has consumed the same spoken words, so only the cheapest
+		// state per text position is worth keeping
+		const best = new Map();
+		for (const s of states) {
+			const key = s.inside
+				? `${s.textPos}+${s.inside.merge ? "m" : "r"}${s.inside.words.length}`
+				: s.textPos;
+			const cur = best.get(key);
+			if (!cur || s.cost < cur.cost) best.set(key, s);
+		}
 		// Sort by cost and take top beamWidth
-		return states
+		return [...best.values()]
 			.sort((a, b) => a.cost - b.cost)
 			.slice(0, this.beamWidth);
 	}
 
-	// Check if words can match
-	_canMatch(spokenWord, spokenPhonetic, textToken) {
-		return this._combinedSimilarity(spokenWord, spokenPhonetic, textToken) >= this.threshold;
-	}
-
 	// Reset beam for next iteration
 	_resetBeam() {
-		this.beam = [new AlignmentState(this.pointer, 0, 0, [])];
+		this.beam = [new AlignmentState(this.pointer, 0, 0, null)];
 	}
 
 	// Legacy method for backward compatibility
@@ -316,23 +1052,41 @@ export class Aligner {
 		if (FILLERS.has(wNorm)) return false;
 		
 		// Use beam search instead
-		this.spokenBuffer = [wNorm];
+		this.spokenBuffer = [{ word: wNorm, time: Date.now() }];
 		this._processBeamSearch();
 		return true;
 	}
 
-	_mark(idx, status, heardNorm) {
+	_mark(idx, status, heardNorm, attempt, time, confidence = 1) {
 		const t = this.tokens[idx];
 		if (!t || !t.isWord) return;
+		if (idx < this._rereadEnd && t.status !== "pending" && t.status !== "unsure") return;
 		t.status = status;
+		t.heard = heardNorm || "";
+		if (attempt) t.attempt = attempt;
+		else delete t.attempt;
+		// Approximate time the word was read; skipped words have none
+		if (Number.isFinite(time)) t.readAt = time;
+		else delete t.readAt;
 		if (this.ui?.updateStatus) this.ui.updateStatus(idx, status);
 		const expected = t ? t.norm : "";
+		const certainty = `\nRecognizer confidence: ${Math.round(confidence * 100)}%`;
 		if (this.ui?.setTitle) {
 			if (status === "incorrect") {
 				const heard = heardNorm || "";
 				this.ui.setTitle(
 					idx,
-					`Error: substitution\nExpected: ${expected}\nHeard: ${heard}`
+					`Error: substitution\nExpected: ${expected}\nHeard: ${heard}${confidence < 1 ? certainty : ""}`
+				);
+			} else if (status === "unsure") {
+				this.ui.setTitle(
+					idx,
+					`Unsure: possibly misheard, not counted as an error\nExpected: ${expected}\nHeard: ${heardNorm || ""}${certainty}`
+				);
+			} else if (status === "selfcorrected") {
+				this.ui.setTitle(
+					idx,
+					`Self-correction\nExpected: ${expected}\nHeard: ${attempt || ""} → ${heardNorm || ""}`
 				);
 			} else if (status === "skipped") {
 				this.ui.setTitle(idx, `Error: skipped\nExpected: ${expected}`);
@@ -347,10 +1101,35 @@ export class Aligner {
 			if (this.tokens[i].isWord) return i;
 		return -1;
 	}
+
+	_nextWordIndex(from) {
+		for (let i = from + 1; i < this.tokens.length; i++)
+			if (this.tokens[i].isWord) return i;
+		return -1;
+	}
+
+	_prevWordIndex(from) {
+		for (let i = Math.min(from, this.tokens.length) - 1; i >= 0; i--)
+			if (this.tokens[i].isWord) return i;
+		return -1;
+	}
+}
+
+function minCost(states) {
+	return states.reduce((min, s) => Math.min(min, s.cost), Infinity);
+}
+
+// Recognizers report 0 or nothing when they have no confidence estimate
+function validConfidence(c) {
+	return Number.isFinite(c) && c > 0 ? Math.min(1, c) : 1;
 }
 
-// Levenshtein similarity ratio using fast-levenshtein
+// Levenshtein similarity ratio using fast-levenshtein; accents are ignored
+// since recognizers do not always write them
 function similarity(a, b) {
+    if (a === b) return 1;
+    a = foldDiacritics(a);
+    b = foldDiacritics(b);
     const maxLen = Math.max(a.length, b.length) || 1;
     return 1 - (levenshtein(a, b) / maxLen);
 }
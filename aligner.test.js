@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Aligner } from "./aligner.js";
+import { tokenize } from "./tokenize.js";
+import { computeMetrics } from "./metrics.js";
+
+function align(text, ...phrases) {
+	const tokens = tokenize(text);
+	const aligner = new Aligner(tokens, {});
+	for (const phrase of phrases) aligner.advanceWithPhrase(phrase);
+	return { aligner, statuses: tokens.filter((t) => t.isWord).map((t) => t.status) };
+}
+
+test("a dropped suffix at the end of the text is a substitution", () => {
+	const { aligner, statuses } = align("the big dogs", "the big dog");
+	assert.deepEqual(statuses, ["correct", "correct", "incorrect"]);
+	assert.equal(aligner.pointer, -1);
+});
+
+test("a dropped suffix mid-text is committed with its phrase", () => {
+	const { statuses } = align("the cat walked home today", "the cat walk");
+	assert.deepEqual(statuses.slice(0, 3), ["correct", "correct", "incorrect"]);
+});
+
+test("joined-up words still merge into one text word", () => {
+	const { statuses } = align("everyone sat down", "every one sat down");
+	assert.deepEqual(statuses, ["correct", "correct", "correct"]);
+});
+
+test("a word read as one splits over two text words", () => {
+	const { statuses } = align("some times it rains", "sometimes it rains");
+	assert.deepEqual(statuses, ["correct", "correct", "correct", "correct"]);
+});
+
+test("jumping ahead beyond the window re-synchronizes at the anchor", () => {
+	const text =
+		"once upon a time there was a little fox who lived in the deep green forest near a river. " +
+		"every morning the fox went down to drink the cold clear water and watch the fish swim by. " +
+		"one day a big brown bear came to the river too and asked the fox to share.";
+	const { statuses } = align(text, "once upon a time there was", "the bear came to the river too and asked");
+	assert.equal(statuses[6], "skipped");
+	assert.deepEqual(statuses.slice(42, 50), new Array(8).fill("correct"));
+});
+
+function alignIn(lang, text, phrase) {
+	const tokens = tokenize(text, { lang });
+	const aligner = new Aligner(tokens, {});
+	aligner.setConfig({ lang });
+	aligner.advanceWithPhrase(phrase);
+	return tokens.filter((t) => t.isWord).map((t) => t.status);
+}
+
+test("Spanish words match with and without accents", () => {
+	assert.deepEqual(alignIn("es", "el niño come pan", "el niño come pan"), new Array(4).fill("correct"));
+	assert.deepEqual(alignIn("es", "el niño come pan", "el nino come pan"), new Array(4).fill("correct"));
+	assert.equal(alignIn("es", "el niño come pan", "el nina come pan")[1], "incorrect");
+});
+
+test("German words match with and without ß", () => {
+	assert.deepEqual(alignIn("de", "die Straße ist lang", "die straße ist lang"), new Array(4).fill("correct"));
+	assert.deepEqual(alignIn("de", "die Straße ist lang", "die strasse ist lang"), new Array(4).fill("correct"));
+});
+
+test("Portuguese words match with and without accents", () => {
+	assert.deepEqual(alignIn("pt", "ela mora em São Paulo", "ela mora em são paulo"), new Array(5).fill("correct"));
+	assert.deepEqual(alignIn("pt", "ela mora em São Paulo", "ela mora em sao paulo"), new Array(5).fill("correct"));
+	assert.deepEqual(alignIn("pt", "a ação começou", "a acao comecou"), new Array(3).fill("correct"));
+});
+
+test("a passage with a word the recognizer was unsure of still completes", () => {
+	const tokens = tokenize("the quick brown fox jumps");
+	const aligner = new Aligner(tokens, {});
+	aligner.advanceWithPhrase("the quick brown box jumps", null, { wordConfidences: [0.9, 0.9, 0.9, 0.2, 0.9] });
+	assert.deepEqual(
+		tokens.filter((t) => t.isWord).map((t) => t.status),
+		["correct", "correct", "correct", "unsure", "correct"]
+	);
+	assert.equal(aligner.pointer, -1);
+	const m = computeMetrics(tokens, null);
+	assert.equal(m.completed, m.total);
+	assert.equal(m.errors, 0);
+});
@@ -0,0 +1,230 @@
+// Page side of the aligner. Alignment runs in a Web Worker (alignerWorker.js)
+// so long phrases do not stall the UI; without worker support, and for
+// replays, which must run synchronously, the same Aligner runs in-process.
+// Either way results arrive through ui hooks: the Aligner's own
+// (updateStatus, setPointer, setTitle, setMiscues, resync) plus
+// aligned(consumed) after each phrase, realigned(count) after realignFrom
+// and preview({ matched, pointer }).
+import { Aligner } from "./aligner.js";
+
+// Token fields the aligner reads and writes
+const TOKEN_FIELDS = ["status", "heard", "attempt", "readAt", "miscues"];
+
+export function tokenState(t) {
+	const state = {};
+	for (const f of TOKEN_FIELDS) state[f] = t[f];
+	return state;
+}
+
+export function applyTokenState(t, state) {
+	for (const f of TOKEN_FIELDS) {
+		if (state[f] === undefined) delete t[f];
+		else t[f] = state[f];
+	}
+}
+
+export class AlignerClient {
+	constructor(tokens, ui, { worker = true } = {}) {
+		this.tokens = tokens;
+		this.ui = ui;
+		this.pointer = tokens.findIndex((t) => t.isWord);
+		this.worker = null;
+		this.local = null;
+		this._config = {};
+		this._lexicon = null;
+		this._known = tokens.map(tokenState); // token fields as the worker last saw them
+		this._changed = new Set(); // tokens the page may have changed since
+		this._changedAll = false;
+		this._reported = null; // pointer the aligner moved to, until the page follows
+		this._phrases = 0; // phrases sent; previews computed before the latest are dropped
+		// Jumps, phrases and realigns sent since the worker last finished one,
+		// replayed in-process if it fails, from where it then left the pointer
+		this._unfinished = [];
+		this._finishedAt = this.pointer;
+		if (worker && typeof Worker !== "undefined") {
+			try {
+				this.worker = new Worker(new URL("./alignerWorker.js", import.meta.url), { type: "module" });
+				this.worker.onmessage = ({ data }) => this._receive(data);
+				this.worker.onerror = (e) => this._fallBack(e);
+				this.worker.postMessage({ type: "init", tokens });
+			} catch (e) {
+				this._fallBack(e);
+			}
+		}
+		if (!this.worker && !this.local) this._startLocal();
+	}
+
+	setConfig(config) {
+		Object.assign(this._config, config);
+		if (this.local) this.local.setConfig(config);
+		else this.worker.postMessage({ type: "config", config });
+	}
+
+	setLexicon(entries) {
+		this._lexicon = entries;
+		if (this.local) this.local.setLexicon(entries);
+		else this.worker.postMessage({ type: "lexicon", entries });
+	}
+
+	jumpTo(idx) {
+		// The page follows every pointer move the aligner reports; that echo
+		// must not reset the worker, which may already be further on
+		if (idx === this._reported) {
+			this._reported = null;
+			return;
+		}
+		this._reported = null;
+		this.pointer = idx;
+		if (this.local) this.local.jumpTo(idx);
+		else this._post({ type: "jump", idx });
+	}
+
+	advanceWithPhrase(phrase, wordTimes, hypotheses) {
+		this._phrases++;
+		if (this.local) {
+			const consumed = this.local.advanceWithPhrase(phrase, wordTimes, hypotheses);
+			if (this.ui.aligned) this.ui.aligned(consumed);
+			return;
+		}
+		this._syncTokens();
+		this._post({ type: "phrase", phrase, wordTimes, hypotheses });
+	}
+
+	realignFrom(idx, since) {
+		if (this.local) {
+			const count = this.local.realignFrom(idx, since);
+			if (this.ui.realigned) this.ui.realigned(count);
+			return;
+		}
+		this._syncTokens();
+		this._post({ type: "realign", idx, since });
+	}
+
+	previewPhrase(phrase) {
+		if (this.local) {
+			if (this.ui.preview) this.ui.preview(this.local.previewPhrase(phrase));
+			return;
+		}
+		this.worker.postMessage({ type: "preview", phrase, seq: this._phrases });
+	}
+
+	// Note a token the page changed (manual marks, undo); the worker gets
+	// it before the next phrase
+	touch(idx) {
+		if (this.worker) this._changed.add(idx);
+	}
+
+	// Every token may have changed (resets, resume)
+	touchAll() {
+		this._changedAll = true;
+	}
+
+	dispose() {
+		if (this.worker) this.worker.terminate();
+		this.worker = null;
+	}
+
+	// Send a message the worker must finish, keeping it until it has
+	_post(message) {
+		this._unfinished.push(message);
+		this.worker.postMessage(message);
+	}
+
+	// The worker finished the oldest phrase or realign still outstanding
+	_finished() {
+		const i = this._unfinished.findIndex((m) => m.type !== "jump");
+		this._unfinished.splice(0, i + 1);
+		this._finishedAt = this.pointer;
+	}
+
+	// Send the tokens the page changed. Changes the worker made itself are
+	// already known and not sent back.
+	_syncTokens() {
+		const updates = [];
+		const changed = this._changedAll ? this.tokens.keys() : this._changed;
+		for (const idx of changed) {
+			const t = this.tokens[idx];
+			const known = this._known[idx];
+			if (TOKEN_FIELDS.some((f) => t[f] !== known[f])) {
+				this._known[idx] = tokenState(t);
+				updates.push([idx, this._known[idx]]);
+			}
+		}
+		this._changed.clear();
+		this._changedAll = false;
+		if (updates.length) this.worker.postMessage({ type: "tokens", updates });
+	}
+
+	_receive(data) {
+		const t = this.tokens[data.idx];
+		switch (data.type) {
+			case "updateStatus":
+				applyTokenState(t, data.token);
+				this._known[data.idx] = tokenState(t);
+				if (this.ui.updateStatus) this.ui.updateStatus(data.idx, data.status);
+				break;
+			case "setPointer":
+				this._movedTo(data.idx);
+				break;
+			case "setTitle":
+				if (this.ui.setTitle) this.ui.setTitle(data.idx, data.title);
+				break;
+			case "setMiscues":
+				t.miscues = data.miscues;
+				this._known[data.idx].miscues = data.miscues;
+				if (this.ui.setMiscues) this.ui.setMiscues(data.idx, data.miscues);
+				break;
+			case "resync":
+				if (this.ui.resync) this.ui.resync(data.from, data.to);
+				break;
+			case "aligned":
+				this._finished();
+				if (this.ui.aligned) this.ui.aligned(data.consumed);
+				break;
+			case "realigned":
+				this._finished();
+				if (this.ui.realigned) this.ui.realigned(data.count);
+				break;
+			case "preview":
+				if (data.seq === this._phrases && this.ui.preview) {
+					this.ui.preview({ matched: data.matched, pointer: data.pointer });
+				}
+				break;
+		}
+	}
+
+	_movedTo(idx) {
+		this.pointer = idx;
+		this._reported = idx;
+		if (this.ui.setPointer) this.ui.setPointer(idx);
+	}
+
+	// The worker could not start (e.g. module workers unsupported) or failed;
+	// what it had not finished is aligned again in-process, as is every
+	// later call. Marks it made for an unfinished phrase are made again.
+	_fallBack(e) {
+		console.warn("Aligner worker unavailable, aligning on the main thread:", e?.message || e);
+		this.dispose();
+		if (this.local) return;
+		const unfinished = this._unfinished;
+		this._unfinished = [];
+		this.pointer = this._finishedAt;
+		this._reported = null;
+		this._startLocal();
+		for (const m of unfinished) {
+			if (m.type === "jump") this.jumpTo(m.idx);
+			else if (m.type === "phrase") this.advanceWithPhrase(m.phrase, m.wordTimes, m.hypotheses);
+			else this.realignFrom(m.idx, m.since);
+		}
+	}
+
+	_startLocal() {
+		this.local = new Aligner(this.tokens, {
+			...this.ui,
+			setPointer: (idx) => this._movedTo(idx),
+		});
+		this.local.setConfig(this._config);
+		if (this._lexicon) this.local.setLexicon(this._lexicon);
+		if (this.pointer >= 0) this.local.jumpTo(this.pointer);
+	}
+}
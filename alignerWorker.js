@@ -0,0 +1,57 @@
+// Web Worker running the aligner off the main thread. Messages in:
+//   init { tokens }, config { config }, lexicon { entries }, tokens { updates },
+//   jump { idx }, phrase { phrase, wordTimes, hypotheses }, realign { idx, since },
+//   preview { phrase, seq }
+// Messages out mirror the aligner's ui hooks (updateStatus, setPointer,
+// setTitle, setMiscues, resync) plus aligned { consumed }, realigned { count }
+// and preview results.
+import { Aligner } from "./aligner.js";
+import { tokenState, applyTokenState } from "./alignerClient.js";
+
+let tokens = [];
+let aligner = null;
+
+const post = (type, data) => self.postMessage({ type, ...data });
+
+// The aligner changes tokens in place; status updates carry the changed
+// fields so the page can apply them to its own copy
+const ui = {
+	updateStatus: (idx, status) => post("updateStatus", { idx, status, token: tokenState(tokens[idx]) }),
+	setPointer: (idx) => post("setPointer", { idx }),
+	setTitle: (idx, title) => post("setTitle", { idx, title }),
+	setMiscues: (idx, miscues) => post("setMiscues", { idx, miscues }),
+	resync: (from, to) => post("resync", { from, to }),
+};
+
+self.onmessage = ({ data }) => {
+	switch (data.type) {
+		case "init":
+			tokens = data.tokens;
+			aligner = new Aligner(tokens, ui);
+			break;
+		case "config":
+			aligner.setConfig(data.config);
+			break;
+		case "lexicon":
+			aligner.setLexicon(data.entries);
+			break;
+		case "tokens":
+			// Manual marks and resets made on the page
+			for (const [idx, state] of data.updates) applyTokenState(tokens[idx], state);
+			break;
+		case "jump":
+			aligner.jumpTo(data.idx);
+			break;
+		case "phrase": {
+			const consumed = aligner.advanceWithPhrase(data.phrase, data.wordTimes, data.hypotheses);
+			post("aligned", { consumed });
+			break;
+		}
+		case "realign":
+			post("realigned", { count: aligner.realignFrom(data.idx, data.since) });
+			break;
+		case "preview":
+			post("preview", { seq: data.seq, ...aligner.previewPhrase(data.phrase) });
+			break;
+	}
+};
@@ -7,30 +7,119 @@ import {
 	computeSentences,
 } from "./tokenize.js";
 import {
-	renderTokens,
-	updateCurrentPointer,
-	updateTokenStatus,
 	bindTokenJump,
+	bindTokenMenu,
+	bindWordMenu,
+	showWordMenu,
+	hideWordMenu,
 	setControlsEnabled,
 	updateMetricsView,
-	setTokenTitle,
 	setASRStatus,
 	setLastHeard,
 	renderSentences,
+	updateActiveSentence,
 	bindSentenceClicks,
 	showDriftBanner,
+	showResumeBanner,
+	renderRunningRecord,
+	showRunningRecord,
+	updateTimingView,
+	setProbeCountdown,
+	showProbeResult,
+	renderSectionOptions,
 } from "./ui.js";
-import { computeMetrics } from "./metrics.js";
-import { SpeechEngine } from "./speech.js";
-import { Aligner } from "./aligner.js";
+import { MetricsTracker } from "./metrics.js";
+import { TimingTracker, DEFAULT_HESITATION_MS } from "./timing.js";
+import {
+	DEFAULT_PROBE_SECONDS,
+	computeProbeResult,
+	compareToNorms,
+	loadNorms,
+	saveNorms,
+	resetNorms,
+} from "./probe.js";
+import {
+	buildReport,
+	reportToJSON,
+	reportToCSV,
+	reportToHTML,
+	downloadFile,
+} from "./report.js";
+import {
+	buildRunningRecord,
+	runningRecordToHTML,
+	loadLevelBands,
+	saveLevelBands,
+} from "./runningRecord.js";
+import { SpeechEngine, WebSpeechBackend } from "./speech.js";
+import { VoskBackend } from "./voskBackend.js";
+import {
+	DEFAULT_COSTS,
+	costProfileKey,
+	loadCostProfiles,
+	saveCostProfiles,
+	recordOverride,
+	resetCostProfile,
+	profileCosts,
+} from "./costProfiles.js";
+import {
+	loadLexicon,
+	saveLexicon,
+	lexiconFor,
+	addLexiconVariant,
+	parseLexiconEntries,
+} from "./lexicon.js";
+import { AlignerClient } from "./alignerClient.js";
 import { DecisionBuffer } from "./decisionBuffer.js"
+import { UndoHistory } from "./undoHistory.js";
+import { importPassageFile, sectionText } from "./importers.js";
+import { analyzeReadability, renderReadability } from "./readability.js";
+import { TokenView } from "./tokenView.js";
+import {
+	passageRecord,
+	libraryBundle,
+	parseLibraryBundle,
+	renderLibrary,
+	bindLibraryActions,
+} from "./library.js";
+import {
+	hashText,
+	saveActiveSession,
+	loadActiveSession,
+	clearActiveSession,
+	addSessionRecord,
+	updateSessionRecord,
+	listSessionRecords,
+	deleteSessionRecord,
+	savePassage,
+	getPassage,
+	listPassages,
+	deletePassage,
+} from "./storage.js";
+import { SessionRecorder, parseSessionLog, diffStatuses } from "./sessionLog.js";
+import {
+	showDashboard,
+	renderDashboard,
+	bindDashboardFilters,
+	bindHistoryDelete,
+} from "./dashboard.js";
 
 const els = {
 	fileInput: document.getElementById("fileInput"),
+	sectionSelect: document.getElementById("sectionSelect"),
+	passageTitle: document.getElementById("passageTitle"),
+	passageSource: document.getElementById("passageSource"),
+	passageLevel: document.getElementById("passageLevel"),
+	passageTags: document.getElementById("passageTags"),
+	librarySaveBtn: document.getElementById("librarySaveBtn"),
+	libraryExportBtn: document.getElementById("libraryExportBtn"),
+	libraryImportInput: document.getElementById("libraryImportInput"),
+	libraryStatus: document.getElementById("libraryStatus"),
 	demoBtn: document.getElementById("demoBtn"),
 	inputText: document.getElementById("inputText"),
 	loadBtn: document.getElementById("loadBtn"),
 	charCount: document.getElementById("charCount"),
+	readingPane: document.getElementById("readingPane"),
 	tokensContainer: document.getElementById("tokensContainer"),
 	startBtn: document.getElementById("startBtn"),
 	resetBtn: document.getElementById("resetBtn"),
@@ -38,9 +127,13 @@ const els = {
 	skipBtn: document.getElementById("skipBtn"),
 	incorrectBtn: document.getElementById("incorrectBtn"),
 	correctBtn: document.getElementById("correctBtn"),
+	toldBtn: document.getElementById("toldBtn"),
+	acceptHeardBtn: document.getElementById("acceptHeardBtn"),
 	micStartBtn: document.getElementById("micStartBtn"),
 	micStopBtn: document.getElementById("micStopBtn"),
 	langSelect: document.getElementById("langSelect"),
+	asrBackend: document.getElementById("asrBackend"),
+	modelFile: document.getElementById("modelFile"),
 	lookahead: document.getElementById("lookahead"),
 	lookaheadVal: document.getElementById("lookaheadVal"),
 	threshold: document.getElementById("threshold"),
@@ -49,8 +142,40 @@ const els = {
 	realignDismissBtn: document.getElementById("realignDismissBtn"),
 	backtrackThreshold: document.getElementById("backtrackThreshold"),
 	backtrackWindow: document.getElementById("backtrackWindow"),
+	resumeSessionBtn: document.getElementById("resumeSessionBtn"),
+	discardSessionBtn: document.getElementById("discardSessionBtn"),
+	readerName: document.getElementById("readerName"),
+	historyBtn: document.getElementById("historyBtn"),
+	historyCloseBtn: document.getElementById("historyCloseBtn"),
+	exportFormat: document.getElementById("exportFormat"),
+	exportBtn: document.getElementById("exportBtn"),
+	runningRecordBtn: document.getElementById("runningRecordBtn"),
+	bandIndependent: document.getElementById("bandIndependent"),
+	bandInstructional: document.getElementById("bandInstructional"),
+	hesitationSec: document.getElementById("hesitationSec"),
+	probeGrade: document.getElementById("probeGrade"),
+	probeSeason: document.getElementById("probeSeason"),
+	probeSeconds: document.getElementById("probeSeconds"),
+	probeStartBtn: document.getElementById("probeStartBtn"),
+	normsText: document.getElementById("normsText"),
+	normsSaveBtn: document.getElementById("normsSaveBtn"),
+	normsResetBtn: document.getElementById("normsResetBtn"),
+	normsStatus: document.getElementById("normsStatus"),
+	lexiconScope: document.getElementById("lexiconScope"),
+	lexiconText: document.getElementById("lexiconText"),
+	lexiconSaveBtn: document.getElementById("lexiconSaveBtn"),
+	lexiconStatus: document.getElementById("lexiconStatus"),
+	costScope: document.getElementById("costScope"),
+	costStatus: document.getElementById("costStatus"),
+	resetCostsBtn: document.getElementById("resetCostsBtn"),
+	downloadLogBtn: document.getElementById("downloadLogBtn"),
+	replayLogInput: document.getElementById("replayLogInput"),
+	logStatus: document.getElementById("logStatus"),
 };
 
+// Only the words on screen are in the DOM, so any text length stays responsive
+const tokenView = new TokenView(els.tokensContainer, els.readingPane);
+
 let state = {
 	tokens: [],
 	pointer: -1, // index in tokens array (word token)
@@ -59,39 +184,134 @@ let state = {
 	aligner: null,
 	speech: null,
 	sentences: [],
+	readability: null, // difficulty of the loaded text and of each sentence
 	decisionBuffer: new DecisionBuffer(20), // Track last 20 decisions
+	// Undo/redo of marks, aligned phrases, jumps and backtracks
+	undoHistory: new UndoHistory({
+		capture: () => ({ pointer: state.pointer, decisions: state.decisionBuffer.snapshot() }),
+		restore: ({ pointer, decisions }) => {
+			state.decisionBuffer.restore(decisions.map((d) => ({ ...d })));
+			setPointer(pointer);
+			refreshMetrics();
+		},
+		restoreWord: (idx) => {
+			wordChanged(idx);
+			tokenView.update(idx);
+		},
+	}),
+	metrics: new MetricsTracker(), // running counts of the marks
+	timing: new TimingTracker(), // running latencies and reading rates
 	backtrackThreshold: 2.0, // Cost threshold for triggering backtrack
 	backtrackWindow: 8, // Number of tokens to consider for backtrack
+	textKey: null, // hash of the loaded text, used as the saved-session key
+	pendingResume: null, // saved session offered for resume but not yet accepted
+	archived: false, // current session already stored in history
+	archivedRecord: null, // its history record, kept in step with later corrections
+	levelBands: loadLevelBands(), // accuracy bands for running record levels
+	showRunningRecord: false,
+	hesitationMs: DEFAULT_HESITATION_MS, // pause before a word that counts as a hesitation
+	probe: null, // timed fluency probe: { startedAt, durationSec, grade, season, timer, result, comparison }
+	alignmentPaused: false, // ignore recognizer results (e.g. after a probe ends)
+	norms: loadNorms(),
+	lexicon: loadLexicon(), // pronunciation lexicon, shared and per passage
+	costProfiles: loadCostProfiles(), // teacher overrides per reader or class, see costProfiles.js
+	costs: null, // learned costs in effect: deletion, insertion and the threshold offset
+	autoMarks: new Map(), // word index → status the aligner gave it
+	menuIndex: -1, // word the word menu was opened on
+	imported: null, // { title, sections } of the last imported file, see importers.js
+	passage: null, // library passage being read: { id, title, textKey }
+	provisional: null, // { matched, pointer } from the latest interim transcript
+	rolledBackTimer: 0, // clears the highlight of words rolled back by an auto-backtrack
+	recorder: null, // SessionRecorder for the loaded passage
+	replay: null, // { now } while a log is replayed; kept afterwards so the replayed session is not saved
+	driftFrom: -1, // drift is judged on words from here on, after an automatic re-sync
+	lang: "en-GB", // passage language (BCP 47), used for tokenizing, matching and recognition
 };
 
+// Current time; while replaying, the recorded time of the event being replayed
+function now() {
+	return state.replay && state.replay.now != null ? state.replay.now : Date.now();
+}
+
 function setPointer(idx) {
+	clearProvisional();
 	state.pointer = idx;
-	updateCurrentPointer(state.tokens, els.tokensContainer, idx);
-	if (state.aligner) state.aligner.pointer = idx;
-	if (state.sentences) renderSentences(state.sentences, state.pointer);
+	if (idx < state.driftFrom) state.driftFrom = -1;
+	tokenView.setCurrent(idx);
+	if (state.aligner) state.aligner.jumpTo(idx);
+	if (state.sentences) updateActiveSentence(state.sentences, state.pointer);
+	showAcceptHeard();
+}
+
+// Note that a word changes, for undo and for everything kept in step with it
+function touchWord(idx) {
+	state.undoHistory.touch(idx);
+	wordChanged(idx);
+}
+
+// The running metrics, the aligner worker and the saved session follow the
+// words that changed instead of going over the whole text
+function wordChanged(idx) {
+	state.metrics.touch(idx);
+	state.timing.touch(idx);
+	if (state.aligner) state.aligner.touch(idx);
+	unsavedWords.add(idx);
+}
+
+// Every word may have changed: a new text or session, a reset or a resume
+function wordsReset() {
+	state.metrics.reset(state.tokens);
+	state.timing.reset(state.tokens, state.startedAt, state.sentences, state.hesitationMs);
+	if (state.aligner) state.aligner.touchAll();
+	unsavedWords.clear();
+	saveAllWords = true;
 }
 
-function loadTokensFromText(text) {
-	state.tokens = tokenize(text);
+// A replay aligns in-process, so each recorded event is applied before the next.
+// `passage` links sessions to the library passage the text came from; it
+// stays linked while the same text is loaded again.
+function loadTokensFromText(text, { replay = false, passage = null } = {}) {
+	archiveSession();
+	state.archived = false;
+	state.replay = null;
+	state.textKey = hashText(text);
+	if (replay) state.passage = null;
+	else if (passage) state.passage = passage;
+	else if (state.passage?.textKey !== state.textKey) state.passage = null;
+	// Settings are recorded with the passage; a replay brings its own costs
+	if (!replay) applySettings({ costs: learnedCosts() });
+	state.recorder = new SessionRecorder(text, currentSettings());
+	cancelProbe();
+	state.alignmentPaused = false;
+	state.pendingResume = null;
+	showResumeBanner(false);
+	hideWordMenu();
+	state.tokens = tokenize(text, { lang: state.lang });
 	state.pointer = -1;
 	state.startedAt = null;
 	state.sessionActive = false;
 	state.decisionBuffer.clear(); // Clear decision history for new text
-	renderTokens(state.tokens, els.tokensContainer);
+	state.undoHistory.reset(state.tokens);
+	state.sentences = computeSentences(state.tokens);
+	wordsReset();
+	tokenView.setTokens(state.tokens);
 	const firstIdx = firstWordIndex(state.tokens);
 	setPointer(firstIdx);
 	setControlsEnabled(state.tokens.length > 0 && firstIdx >= 0);
 	refreshMetrics();
 	// Prepare aligner with beam search configuration
-	state.aligner = new Aligner(state.tokens, {
+	if (state.aligner) state.aligner.dispose();
+	state.aligner = new AlignerClient(state.tokens, {
 		updateStatus: (idx, status) => {
-			updateTokenStatus(els.tokensContainer, idx, status);
+			touchWord(idx);
+			tokenView.update(idx);
+			state.autoMarks.set(idx, status);
 			// Record automatic decisions from aligner
 			if (state.sessionActive && state.tokens[idx] && state.tokens[idx].isWord) {
 				state.decisionBuffer.push({
 					index: idx,
 					status: status,
-					timestamp: Date.now(),
+					timestamp: now(),
 					expected: state.tokens[idx].norm,
 					heard: status === "correct" ? state.tokens[idx].norm : "",
 					automatic: true
@@ -99,14 +319,42 @@ function loadTokensFromText(text) {
 			}
 		},
 		setPointer: (idx) => setPointer(idx),
-		setTitle: (idx, title) => setTokenTitle(els.tokensContainer, idx, title),
-	});
-	// Use beam search parameters instead of old lookahead
-	const beamWidth = 4;
-	const threshold = Number(els.threshold?.value || 0.8);
-	const margin = 0.1;
+		setTitle: (idx, title) => {
+			const t = state.tokens[idx];
+			if (!t) return;
+			touchWord(idx);
+			t.title = title;
+			tokenView.update(idx);
+		},
+		setMiscues: (idx, miscues) => {
+			touchWord(idx);
+			tokenView.update(idx);
+		},
+		// The aligner found the reader elsewhere in the text. Words before
+		// that point say nothing about drift, and the skipped span must not
+		// trigger an auto-backtrack.
+		resync: (from, to) => {
+			state.driftFrom = to;
+			state.decisionBuffer.clear();
+			showDriftBanner(false);
+		},
+		aligned: (consumed) => phraseAligned(consumed),
+		// Not checked for another backtrack: the same words would only be
+		// realigned again
+		realigned: () => {
+			state.undoHistory.end();
+			refreshMetrics();
+		},
+		preview: (preview) => showPreview(preview),
+	}, { worker: !replay });
+	// Beam width follows the look-ahead slider; learned edit costs are
+	// applied when a session starts
+	const beamWidth = Math.max(2, Math.min(10, Number(els.lookahead?.value || 2) + 2));
 	const windowSize = 10;
-	state.aligner.setConfig({ beamWidth, threshold, margin, windowSize });
+	state.aligner.setConfig({ beamWidth, windowSize, lang: state.lang, ...state.costs, threshold: alignerThreshold() });
+	state.autoMarks.clear();
+	state.aligner.setLexicon(lexiconFor(state.lexicon, state.textKey));
+	showLexicon();
 	
 	// Load auto-backtrack configuration from UI if available
 	if (els.backtrackThreshold?.value) {
@@ -116,10 +364,13 @@ function loadTokensFromText(text) {
 		state.backtrackWindow = Number(els.backtrackWindow.value);
 	}
 	
-	// Compute sentences and render list
-	state.sentences = computeSentences(state.tokens);
-	renderSentences(state.sentences, state.pointer);
+	// Rate readability and render the sentence list
+	state.readability = analyzeReadability(state.tokens, state.sentences, state.lang);
+	renderReadability(state.readability);
+	renderSentences(state.sentences, state.pointer, state.readability.perSentence);
 	showDriftBanner(false);
+
+	offerResume(state.textKey);
 }
 
 function markAndAdvance(status) {
@@ -128,17 +379,22 @@ function markAndAdvance(status) {
 	const t = state.tokens[idx];
 	if (!t || !t.isWord) return;
 	
+	learnIfOverride(idx, status);
+	touchWord(idx);
+	
 	// Record decision in buffer
 	state.decisionBuffer.push({
 		index: idx,
 		status: status,
-		timestamp: Date.now(),
+		timestamp: now(),
 		expected: t.norm,
 		heard: status === "correct" ? t.norm : ""
 	});
 	
 	state.tokens[idx].status = status;
-	updateTokenStatus(els.tokensContainer, idx, status);
+	if (status === "skipped") delete state.tokens[idx].readAt;
+	else state.tokens[idx].readAt = now();
+	tokenView.update(idx);
 	const next = nextWordIndex(state.tokens, idx);
 	if (next >= 0) setPointer(next);
 	else setPointer(-1);
@@ -148,6 +404,51 @@ function markAndAdvance(status) {
 	checkAutoBacktrack();
 }
 
+// A teacher replacing an automatic mark tells us how the aligner should have scored it
+function learnIfOverride(idx, status) {
+	const t = state.tokens[idx];
+	const auto = state.autoMarks.get(idx);
+	if (auto && auto === t.status && auto !== status && !state.replay) learnFromOverride(t, auto, status);
+	state.autoMarks.delete(idx);
+}
+
+// Mark or annotate one word from the word menu. Unlike Back and the mark
+// buttons this leaves the pointer and every other word alone.
+function overrideWord(idx, status, note) {
+	const t = state.tokens[idx];
+	if (!t || !t.isWord) return;
+	touchWord(idx);
+	if (note !== undefined) {
+		if (note) t.note = note;
+		else delete t.note;
+		tokenView.update(idx);
+	}
+	if (!status || status === t.status) {
+		scheduleSessionSave();
+		return;
+	}
+	learnIfOverride(idx, status);
+	t.status = status;
+	// What was heard and when follow the new mark: a word marked correct
+	// was heard as written, a skipped one not at all
+	if (status === "correct" || status === "selfcorrected") t.heard = t.norm;
+	else if (status === "skipped" || (status === "incorrect" && t.heard === t.norm)) delete t.heard;
+	if (status !== "selfcorrected") delete t.attempt;
+	if (status === "skipped") delete t.readAt;
+	else if (!Number.isFinite(t.readAt)) t.readAt = now();
+	// The teacher's mark goes first; what the aligner recorded stays below it
+	const detail = (t.title || "").replace(/^Marked .* by teacher\n?/, "");
+	const label = status === "selfcorrected" ? "self-corrected" : status;
+	t.title = `Marked ${label} by teacher${detail ? `\n${detail}` : ""}`;
+	tokenView.update(idx);
+	state.decisionBuffer.updateLatest(idx, {
+		status,
+		heard: status === "correct" ? t.norm : "",
+		automatic: false,
+	});
+	refreshMetrics();
+}
+
 // Auto-backtrack functionality
 function checkAutoBacktrack() {
 	if (state.decisionBuffer.count < state.backtrackWindow) return;
@@ -157,6 +458,8 @@ function checkAutoBacktrack() {
 	
 	if (cost > state.backtrackThreshold) {
 		console.log(`Auto-backtrack triggered: cost ${cost.toFixed(2)} > threshold ${state.backtrackThreshold}`);
+		// Undone separately from the mark or phrase that triggered it
+		state.undoHistory.begin("autoBacktrack");
 		performAutoBacktrack(recentDecisions);
 	}
 }
@@ -168,6 +471,9 @@ function calculateAlignmentCost(decisions) {
 	for (const decision of decisions) {
 		switch (decision.status) {
 			case "correct":
+			case "selfcorrected":
+			case "told": // teacher supplied the word; alignment itself is fine
+			case "unsure": // a doubtful recognition, not a sign of misalignment
 				cost += 0.1; // Low cost for correct
 				consecutiveErrors = 0;
 				break;
@@ -211,11 +517,15 @@ function performAutoBacktrack(decisions) {
 	const startIdx = Math.max(0, rollbackIndex - 2);
 	const endIdx = Math.min(state.tokens.length - 1, state.pointer);
 	
+	// Speech from when the reader reached the window is aligned again below
+	let since = Infinity;
 	for (let i = startIdx; i <= endIdx; i++) {
-		if (state.tokens[i].isWord) {
-			state.tokens[i].status = "pending";
-			updateTokenStatus(els.tokensContainer, i, "pending");
-		}
+		const readAt = state.tokens[i].readAt;
+		if (Number.isFinite(readAt)) since = Math.min(since, readAt);
+	}
+	
+	for (let i = startIdx; i <= endIdx; i++) {
+		if (state.tokens[i].isWord) resetToken(i);
 	}
 	
 	// Set pointer to rollback position
@@ -223,26 +533,25 @@ function performAutoBacktrack(decisions) {
 	
 	// Clear decision buffer from rollback point
 	state.decisionBuffer.clear();
-	
-	// Re-render tokens
-	renderTokens(state.tokens, els.tokensContainer);
 	refreshMetrics();
 	
 	// Show user feedback about auto-backtrack
 	showAutoBacktrackFeedback(rollbackIndex, endIdx);
+	
+	// Re-mark what was heard with a wider search instead of waiting for the
+	// reader to repeat it; the pointer follows the realigned words
+	if (since < Infinity) state.aligner.realignFrom(nextWordIndex(state.tokens, startIdx - 1), since);
 }
 
 function showAutoBacktrackFeedback(rollbackIndex, endIdx) {
 	// Highlight the rolled-back region briefly
-	const tokens = els.tokensContainer.children;
+	const indices = [];
 	for (let i = rollbackIndex; i <= endIdx; i++) {
-		if (tokens[i] && tokens[i].classList.contains('word')) {
-			tokens[i].style.backgroundColor = '#fff3cd';
-			setTimeout(() => {
-				if (tokens[i]) tokens[i].style.backgroundColor = '';
-			}, 2000);
-		}
+		if (state.tokens[i]?.isWord) indices.push(i);
 	}
+	tokenView.setMarked("rolled-back", indices);
+	clearTimeout(state.rolledBackTimer);
+	state.rolledBackTimer = setTimeout(() => tokenView.setMarked("rolled-back", []), 2000);
 }
 
 // Manual backtrack trigger for testing
@@ -271,56 +580,77 @@ function showDecisionBufferState() {
 	console.log(`Current cost: ${cost.toFixed(2)}`);
 }
 
+// Return a word to pending and drop what the aligner recorded for it
+function resetToken(idx) {
+	const t = state.tokens[idx];
+	touchWord(idx);
+	t.status = "pending";
+	delete t.title;
+	delete t.heard;
+	delete t.attempt;
+	delete t.miscues;
+	delete t.readAt;
+	delete t.note;
+	tokenView.update(idx);
+}
+
 function backOne() {
 	if (state.pointer < 0) return;
 	const prev = prevWordIndex(state.tokens, state.pointer);
 	if (prev >= 0) {
 		// reset previous word to pending and move pointer there
-		state.tokens[prev].status = "pending";
-		updateTokenStatus(els.tokensContainer, prev, "pending");
+		resetToken(prev);
 		setPointer(prev);
 		refreshMetrics();
 		
 		// Remove the last decision from buffer
-		if (state.decisionBuffer.count > 0) {
-			state.decisionBuffer.count--;
-			if (state.decisionBuffer.count === 0) {
-				state.decisionBuffer.head = 0;
-			} else {
-				state.decisionBuffer.head = (state.decisionBuffer.head - 1 + state.decisionBuffer.size) % state.decisionBuffer.size;
-			}
-		}
+		state.decisionBuffer.pop();
 	}
 }
 
 function startSession() {
 	if (!state.tokens.length) return;
+	state.pendingResume = null;
+	showResumeBanner(false);
+	archiveSession();
+	state.archived = false;
+	cancelProbe();
+	state.alignmentPaused = false;
 	resetWordStatuses(state.tokens);
-	renderTokens(state.tokens, els.tokensContainer);
+	tokenView.redraw();
 	const firstIdx = firstWordIndex(state.tokens);
 	setPointer(firstIdx);
-	state.startedAt = Date.now();
+	state.startedAt = now();
 	state.sessionActive = true;
 	state.decisionBuffer.clear(); // Clear decision history for new session
+	state.undoHistory.reset(state.tokens);
+	state.autoMarks.clear();
+	wordsReset();
 	refreshMetrics();
 	
 	// Automatically start microphone when session begins
-	if (state.speech && state.speech.supported) {
-		if (els.langSelect?.value) state.speech.setLanguage(els.langSelect.value);
+	if (!state.replay && state.speech && state.speech.supported) {
 		state.speech.start();
 	}
 }
 
 function resetStatuses() {
 	if (!state.tokens.length) return;
+	archiveSession();
+	state.archived = false;
+	cancelProbe();
+	state.alignmentPaused = false;
 	resetWordStatuses(state.tokens);
-	renderTokens(state.tokens, els.tokensContainer);
+	tokenView.redraw();
 	const firstIdx = firstWordIndex(state.tokens);
 	setPointer(firstIdx);
 	state.startedAt = null;
 	state.sessionActive = false;
 	state.decisionBuffer.clear(); // Clear decision history
+	state.undoHistory.reset(state.tokens);
+	wordsReset();
 	refreshMetrics();
+	discardSavedSession();
 	
 	// Automatically stop microphone when resetting
 	if (state.speech && state.speech.running) {
@@ -329,9 +659,343 @@ function resetStatuses() {
 }
 
 function refreshMetrics() {
-	const m = computeMetrics(state.tokens, state.startedAt);
+	const m = state.metrics.current(state.startedAt);
 	updateMetricsView(m);
 	checkDrift();
+	refreshTiming();
+	if (state.showRunningRecord) refreshRunningRecord();
+	if (state.sessionActive && m.total > 0 && m.completed === m.total) {
+		// Reading the whole passage ends a running probe early
+		if (state.probe && !state.probe.result) endProbe();
+		else finishSession();
+	}
+	scheduleSessionSave();
+	scheduleArchiveUpdate();
+}
+
+function refreshTiming() {
+	const timing = state.timing.current();
+	updateTimingView(timing, state.sentences);
+	tokenView.setMarked("hesitation", timing.hesitations); // words after a long pause
+}
+
+function refreshRunningRecord() {
+	renderRunningRecord(
+		buildRunningRecord(state.tokens, state.sentences, state.levelBands)
+	);
+}
+
+// Timed fluency probe
+function probeOptions() {
+	const seconds = Number(els.probeSeconds?.value);
+	return {
+		durationSec: Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_PROBE_SECONDS,
+		grade: els.probeGrade?.value || "",
+		season: els.probeSeason?.value || "",
+	};
+}
+
+function startProbe({ durationSec, grade, season }) {
+	if (!state.tokens.length) return;
+	startSession();
+	state.probe = {
+		startedAt: now(),
+		durationSec,
+		grade,
+		season,
+		timer: null,
+		result: null,
+		comparison: null,
+	};
+	setProbeCountdown(durationSec);
+	state.probe.timer = setInterval(() => {
+		if (!state.probe) return;
+		const left = state.probe.durationSec - (now() - state.probe.startedAt) / 1000;
+		setProbeCountdown(left);
+		if (left <= 0) dispatch("probeEnd");
+	}, 250);
+}
+
+function endProbe() {
+	const probe = state.probe;
+	if (!probe || probe.result) return;
+	clearInterval(probe.timer);
+	setProbeCountdown(null);
+	// Stop alignment; results still arriving from the recognizer are ignored
+	state.alignmentPaused = true;
+	if (state.speech && state.speech.running) state.speech.stop();
+	const elapsedSec = Math.min(probe.durationSec, (now() - probe.startedAt) / 1000);
+	probe.result = computeProbeResult(state.tokens, elapsedSec);
+	probe.comparison = compareToNorms(probe.result.wcpm, state.norms, probe.grade, probe.season);
+	tokenView.setMarked("probe-end", [probe.result.lastAttemptedIndex]); // bracket after the last word attempted
+	showProbeResult(probe.result, probe.comparison);
+	finishSession();
+	refreshMetrics();
+}
+
+function cancelProbe() {
+	if (state.probe) clearInterval(state.probe.timer);
+	state.probe = null;
+	setProbeCountdown(null);
+	showProbeResult(null);
+	tokenView.setMarked("probe-end", []);
+}
+
+function formatNorms(norms) {
+	return `[\n${norms.map((r) => `  ${JSON.stringify(r)}`).join(",\n")}\n]`;
+}
+
+// Session history
+function finishSession() {
+	archiveSession();
+	state.sessionActive = false;
+	discardSavedSession();
+	if (state.speech && state.speech.running) state.speech.stop();
+}
+
+// Store the current session in history once, if any word was marked
+function archiveSession() {
+	flushArchiveUpdate();
+	if (state.archived || state.replay || !state.textKey) return;
+	const m = state.metrics.current(state.startedAt);
+	if (m.completed === 0) return;
+	state.archived = true;
+	const finishedAt = Date.now();
+	let probe = null;
+	if (state.probe?.result) {
+		probe = {
+			...state.probe.result,
+			grade: state.probe.grade,
+			season: state.probe.season,
+			percentile: state.probe.comparison?.percentile ?? null,
+		};
+	}
+	const record = {
+		passageKey: state.textKey,
+		passagePreview: state.sentences[0]?.preview || "",
+		passageId: state.passage?.id ?? null,
+		passageTitle: state.passage?.title || "",
+		reader: els.readerName?.value.trim() || "",
+		startedAt: finishedAt - m.elapsedSec * 1000,
+		finishedAt,
+		elapsedSec: m.elapsedSec,
+		probe,
+		...recordMarks(m, m.elapsedSec),
+	};
+	state.archivedRecord = record;
+	archiveStored = addSessionRecord(record)
+		.then((id) => {
+			record.id = id;
+			refreshDashboard();
+			if (record.passageId != null) refreshLibrary();
+		})
+		.catch((err) => console.warn("Failed to store session history:", err));
+}
+
+// The counts and word marks of a history record
+function recordMarks(m, elapsedSec) {
+	return {
+		complete: m.completed === m.total,
+		total: m.total,
+		completed: m.completed,
+		correct: m.correct,
+		incorrect: m.incorrect,
+		skipped: m.skipped,
+		selfCorrected: m.selfCorrected,
+		insertions: m.insertions,
+		repetitions: m.repetitions,
+		accuracy: m.accuracy,
+		// Over the session's own time, not the time since it ended
+		wpm: elapsedSec > 0 ? (m.correct + m.selfCorrected) / (elapsedSec / 60) : NaN,
+		words: state.tokens.flatMap((t, index) =>
+			t.isWord
+				? [{ index, text: t.text, status: t.status, miscues: t.miscues || [] }]
+				: []
+		),
+	};
+}
+
+// Marks changed after the session was stored (word menu, undo) are written
+// to its history record, so the dashboard shows the corrected session
+let archiveTimer = null;
+let archiveStored = Promise.resolve(); // the latest record's first write
+
+function scheduleArchiveUpdate() {
+	if (!state.archived) return;
+	if (archiveTimer) clearTimeout(archiveTimer);
+	archiveTimer = setTimeout(flushArchiveUpdate, 500);
+}
+
+function flushArchiveUpdate() {
+	if (!archiveTimer) return;
+	clearTimeout(archiveTimer);
+	archiveTimer = null;
+	const record = state.archivedRecord;
+	if (!state.archived || !record) return;
+	Object.assign(record, recordMarks(state.metrics.current(state.startedAt), record.elapsedSec));
+	archiveStored
+		.then(() => {
+			if (record.id == null) return;
+			return updateSessionRecord(record).then(() => refreshDashboard());
+		})
+		.catch((err) => console.warn("Failed to update session history:", err));
+}
+
+async function refreshDashboard() {
+	const d = document.getElementById("dashboard");
+	if (!d || d.classList.contains("hidden")) return;
+	try {
+		renderDashboard(await listSessionRecords());
+	} catch (err) {
+		console.warn("Failed to load session history:", err);
+	}
+}
+
+// Session persistence. A save writes the session's pointer, time and
+// decisions and only the words changed since the last save.
+let saveTimer = null;
+const unsavedWords = new Set();
+let saveAllWords = true; // the saved words are out of date as a whole, e.g. after a reset
+
+// Word fields a saved session keeps
+const SAVED_WORD_FIELDS = ["status", "title", "heard", "attempt", "miscues", "readAt", "note"];
+
+function hasProgress() {
+	return state.sessionActive || state.metrics.current(state.startedAt).completed > 0;
+}
+
+function sessionSnapshot() {
+	return {
+		key: state.textKey,
+		tokenCount: state.tokens.length,
+		pointer: state.pointer,
+		// Store elapsed time rather than the start timestamp so time spent
+		// with the tab closed is not counted on resume
+		elapsedMs: state.startedAt ? Date.now() - state.startedAt : null,
+		sessionActive: state.sessionActive,
+		decisions: state.decisionBuffer.toArray(),
+	};
+}
+
+function savedWord(index) {
+	const t = state.tokens[index];
+	const word = { index };
+	for (const f of SAVED_WORD_FIELDS) {
+		if (t[f] !== undefined) word[f] = t[f];
+	}
+	return word;
+}
+
+// The saved words of a session; sessions saved before words were stored
+// one by one hold an array per field instead
+function savedWords(saved) {
+	if (!Array.isArray(saved.statuses)) return saved.words || [];
+	const lists = { titles: "title", heard: "heard", attempts: "attempt", miscues: "miscues", readAt: "readAt", notes: "note" };
+	const words = [];
+	saved.statuses.forEach((status, index) => {
+		if (!status) return;
+		const word = { index, status };
+		for (const [list, f] of Object.entries(lists)) {
+			if (saved[list] && saved[list][index] != null) word[f] = saved[list][index];
+		}
+		words.push(word);
+	});
+	return words;
+}
+
+function currentStatuses() {
+	return state.tokens.map((t) => (t.isWord ? t.status : null));
+}
+
+function persistSession() {
+	if (saveTimer) {
+		clearTimeout(saveTimer);
+		saveTimer = null;
+	}
+	// Don't overwrite a saved session the user has not decided about yet
+	if (!state.textKey || state.pendingResume || state.archived || state.replay || !hasProgress()) return;
+	const replace = saveAllWords;
+	const indices = [];
+	if (replace) {
+		// Words still untouched need no record
+		const touched = (t) => t.status !== "pending" || SAVED_WORD_FIELDS.some((f) => f !== "status" && t[f] !== undefined);
+		state.tokens.forEach((t, idx) => {
+			if (t.isWord && touched(t)) indices.push(idx);
+		});
+	} else {
+		indices.push(...unsavedWords);
+	}
+	unsavedWords.clear();
+	saveAllWords = false;
+	saveActiveSession(sessionSnapshot(), indices.map(savedWord), replace).catch((err) => {
+		console.warn("Failed to save session:", err);
+		// Written with the next save instead
+		for (const idx of indices) unsavedWords.add(idx);
+		if (replace) saveAllWords = true;
+	});
+}
+
+function scheduleSessionSave() {
+	if (saveTimer) clearTimeout(saveTimer);
+	saveTimer = setTimeout(persistSession, 500);
+}
+
+function discardSavedSession() {
+	if (saveTimer) {
+		clearTimeout(saveTimer);
+		saveTimer = null;
+	}
+	saveAllWords = true;
+	if (!state.textKey) return;
+	clearActiveSession(state.textKey).catch((err) =>
+		console.warn("Failed to clear saved session:", err)
+	);
+}
+
+async function offerResume(key) {
+	let saved;
+	try {
+		saved = await loadActiveSession(key);
+	} catch (err) {
+		console.warn("Failed to load saved session:", err);
+		return;
+	}
+	// Ignore if another text was loaded or a session started meanwhile
+	if (!saved || key !== state.textKey || state.sessionActive) return;
+	if ((saved.tokenCount ?? saved.statuses?.length) !== state.tokens.length) return;
+	state.pendingResume = saved;
+	showResumeBanner(true, {
+		completed: savedWords(saved).filter((w) => w.status && w.status !== "pending").length,
+		total: state.metrics.total,
+		elapsedSec: (saved.elapsedMs || 0) / 1000,
+	});
+}
+
+function resumeSession() {
+	const saved = state.pendingResume;
+	state.pendingResume = null;
+	showResumeBanner(false);
+	if (!saved || saved.key !== state.textKey) return;
+	state.archived = false;
+	// Word times shift with the start time so the closed period is skipped
+	const shift = now() - (saved.savedAt || now());
+	resetWordStatuses(state.tokens);
+	for (const { index, ...word } of savedWords(saved)) {
+		const t = state.tokens[index];
+		if (!t || !t.isWord) continue;
+		for (const f of SAVED_WORD_FIELDS) {
+			if (word[f] != null) t[f] = word[f];
+		}
+		if (word.readAt != null) t.readAt = word.readAt + shift;
+	}
+	tokenView.redraw();
+	setPointer(saved.pointer);
+	state.startedAt = saved.elapsedMs != null ? now() - saved.elapsedMs : null;
+	state.sessionActive = !!saved.sessionActive;
+	state.decisionBuffer.restore(saved.decisions);
+	state.undoHistory.reset(state.tokens);
+	wordsReset();
+	refreshMetrics();
 }
 
 function checkDrift() {
@@ -341,7 +1005,7 @@ function checkDrift() {
 	}
 	let count = 0;
 	let errors = 0;
-	for (let i = state.pointer - 1; i >= 0 && count < 8; i--) {
+	for (let i = state.pointer - 1; i >= Math.max(0, state.driftFrom) && count < 8; i--) {
 		const t = state.tokens[i];
 		if (!t.isWord) continue;
 		if (t.status === "incorrect" || t.status === "skipped") errors++;
@@ -352,12 +1016,33 @@ function checkDrift() {
 }
 
 // Event bindings
+function setInputText(text) {
+	els.inputText.value = text;
+	els.charCount.textContent = `${text.length} characters`;
+}
+
 els.fileInput.addEventListener("change", async (e) => {
 	const file = e.target.files && e.target.files[0];
 	if (!file) return;
-	const text = await file.text();
-	els.inputText.value = text;
-	els.charCount.textContent = `${text.length} characters`;
+	state.imported = null;
+	renderSectionOptions([]);
+	try {
+		const doc = await importPassageFile(file);
+		if (!doc.sections.length) throw new Error("no readable text found");
+		state.imported = doc;
+		renderSectionOptions(doc.sections);
+		setInputText(sectionText(doc, -1));
+		// Ready to be saved to the library under the document's title
+		if (els.passageTitle) els.passageTitle.value = doc.title;
+		if (els.passageSource) els.passageSource.value = file.name;
+	} catch (err) {
+		console.warn("Import failed:", err);
+		els.charCount.textContent = `Could not import ${file.name}: ${err.message}`;
+	}
+});
+
+els.sectionSelect?.addEventListener("change", () => {
+	if (state.imported) setInputText(sectionText(state.imported, Number(els.sectionSelect.value)));
 });
 
 els.inputText.addEventListener("input", () => {
@@ -373,40 +1058,142 @@ els.loadBtn.addEventListener("click", () => {
 
 els.demoBtn.addEventListener("click", () => {
 	const demo = `Once upon a time, in a quiet village, a young reader practiced every day.\n\nReading slowly is okay—accuracy matters more than speed.`;
-	els.inputText.value = demo;
-	els.charCount.textContent = `${demo.length} characters`;
+	setInputText(demo);
 });
 
-els.startBtn.addEventListener("click", () => startSession());
-els.resetBtn.addEventListener("click", () => resetStatuses());
-els.backBtn.addEventListener("click", () => backOne());
-els.skipBtn.addEventListener("click", () => markAndAdvance("skipped"));
-els.incorrectBtn.addEventListener("click", () => markAndAdvance("incorrect"));
-els.correctBtn.addEventListener("click", () => markAndAdvance("correct"));
+// Actions that change the session. Inputs go through dispatch() so they are
+// recorded; a replay calls the same actions with the recorded data.
+const actions = {
+	start: () => startSession(),
+	reset: () => resetStatuses(),
+	mark: ({ status }) => markAndAdvance(status),
+	back: () => backOne(),
+	jump: ({ index }) => setPointer(index),
+	undo: () => state.undoHistory.undo(),
+	redo: () => state.undoHistory.redo(),
+	override: ({ index, status, note }) => overrideWord(index, status, note),
+	backtrack: () => triggerManualBacktrack(),
+	realign: () => realignNextSentence(),
+	config: (settings) => applySettings(settings),
+	probeStart: (options) => startProbe(options),
+	probeEnd: () => endProbe(),
+	resume: ({ saved }) => {
+		const restored = snapshotTimes(saved, (t) => state.recorder.fromOffset(t));
+		state.pendingResume = { ...restored, key: state.textKey };
+		resumeSession();
+	},
+	partial: ({ text }) => showProvisional(text),
+	final: ({ text, wordTimes, alternatives, wordConfidences }) =>
+		alignFinal(text, wordTimes?.map((t) => state.recorder.fromOffset(t)), {
+			alternatives,
+			wordConfidences,
+		}),
+};
+
+// Actions that make one undo step each. A phrase aligned in the worker
+// finishes after dispatch returns and closes its own step.
+const UNDOABLE = new Set(["mark", "back", "jump", "backtrack", "realign", "override", "final"]);
+
+function dispatch(type, data = {}) {
+	if (state.recorder) state.recorder.record(type, data);
+	runAction(type, data);
+}
+
+function runAction(type, data) {
+	if (!UNDOABLE.has(type)) {
+		actions[type](data);
+		return;
+	}
+	state.undoHistory.begin(type);
+	actions[type](data);
+	state.undoHistory.end();
+}
+
+// Saved snapshots carry absolute times; the log stores them as offsets
+function snapshotTimes(saved, convert) {
+	return {
+		...saved,
+		savedAt: saved.savedAt != null ? convert(saved.savedAt) : saved.savedAt,
+		readAt: saved.readAt?.map((t) => (t != null ? convert(t) : null)),
+		words: saved.words?.map((w) => (w.readAt != null ? { ...w, readAt: convert(w.readAt) } : w)),
+	};
+}
+
+function currentSettings() {
+	return {
+		threshold: Number(els.threshold?.value || 0.8),
+		lookahead: Number(els.lookahead?.value || 2),
+		backtrackThreshold: state.backtrackThreshold,
+		backtrackWindow: state.backtrackWindow,
+		lang: state.lang,
+		lexicon: lexiconFor(state.lexicon, state.textKey),
+		costs: state.costs,
+	};
+}
+
+function applySettings(settings) {
+	if (settings.lookahead != null && els.lookahead) {
+		els.lookahead.value = String(settings.lookahead);
+		els.lookaheadVal.textContent = String(els.lookahead.value);
+		if (state.aligner) {
+			const beamWidth = Math.max(2, Math.min(10, Number(els.lookahead.value) + 2));
+			state.aligner.setConfig({ beamWidth });
+		}
+	}
+	if (settings.threshold != null && els.threshold) {
+		els.threshold.value = String(settings.threshold);
+		const v = Number(els.threshold.value);
+		els.thresholdVal.textContent = v.toFixed(2);
+		if (state.aligner) state.aligner.setConfig({ threshold: alignerThreshold() });
+	}
+	if (settings.backtrackThreshold != null) {
+		state.backtrackThreshold = Number(settings.backtrackThreshold);
+	}
+	if (settings.backtrackWindow != null) {
+		state.backtrackWindow = Math.max(4, Math.min(20, Number(settings.backtrackWindow)));
+	}
+	if (settings.lang) setLanguage(settings.lang);
+	if (settings.lexicon && state.aligner) state.aligner.setLexicon(settings.lexicon);
+	if (settings.costs) {
+		state.costs = settings.costs;
+		if (state.aligner) state.aligner.setConfig({ ...state.costs, threshold: alignerThreshold() });
+	}
+}
+
+// The sensitivity slider sets the match threshold; corrections shift it
+function alignerThreshold() {
+	const offset = state.costs?.thresholdOffset || 0;
+	return Math.min(1, Math.max(0, Number(els.threshold?.value || 0.8) + offset));
+}
+
+els.startBtn.addEventListener("click", () => {
+	// Overrides from the previous session count from this one
+	dispatch("config", { costs: learnedCosts() });
+	dispatch("start");
+});
+els.resetBtn.addEventListener("click", () => dispatch("reset"));
+els.backBtn.addEventListener("click", () => dispatch("back"));
+els.skipBtn.addEventListener("click", () => dispatch("mark", { status: "skipped" }));
+els.incorrectBtn.addEventListener("click", () => dispatch("mark", { status: "incorrect" }));
+els.correctBtn.addEventListener("click", () => dispatch("mark", { status: "correct" }));
+els.toldBtn?.addEventListener("click", () => dispatch("mark", { status: "told" }));
+els.acceptHeardBtn?.addEventListener("click", () => acceptHeard());
 
 // Sliders
 els.lookahead?.addEventListener("input", () => {
-	els.lookaheadVal.textContent = String(els.lookahead.value);
-	if (state.aligner) {
-		const beamWidth = Math.max(2, Math.min(10, Number(els.lookahead.value) + 2));
-		state.aligner.setConfig({ beamWidth });
-	}
+	dispatch("config", { lookahead: Number(els.lookahead.value) });
 });
 els.threshold?.addEventListener("input", () => {
-	const v = Number(els.threshold.value);
-	els.thresholdVal.textContent = v.toFixed(2);
-	if (state.aligner) state.aligner.setConfig({ threshold: v });
+	dispatch("config", { threshold: Number(els.threshold.value) });
 });
 
 // Auto-backtrack controls
 els.backtrackThreshold?.addEventListener("input", () => {
-	const v = Number(els.backtrackThreshold.value);
-	state.backtrackThreshold = v;
+	dispatch("config", { backtrackThreshold: Number(els.backtrackThreshold.value) });
 });
 
 els.backtrackWindow?.addEventListener("input", () => {
-	const v = Number(els.backtrackWindow.value);
-	state.backtrackWindow = Math.max(4, Math.min(20, v));
+	dispatch("config", { backtrackWindow: Number(els.backtrackWindow.value) });
 });
 
 // Keyboard shortcuts
@@ -417,27 +1204,33 @@ window.addEventListener("keydown", (e) => {
 	)
 		return;
 	if (!state.tokens.length) return;
-	if (e.key === "ArrowLeft") {
+	if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+		e.preventDefault();
+		dispatch(e.shiftKey ? "redo" : "undo");
+	} else if (e.key === "ArrowLeft") {
 		e.preventDefault();
-		backOne();
+		dispatch("back");
 	} else if (e.key === "ArrowRight") {
 		e.preventDefault();
-		markAndAdvance("correct");
+		dispatch("mark", { status: "correct" });
 	} else if (e.key.toLowerCase() === "c") {
 		e.preventDefault();
-		markAndAdvance("correct");
+		dispatch("mark", { status: "correct" });
 	} else if (e.key.toLowerCase() === "x") {
 		e.preventDefault();
-		markAndAdvance("incorrect");
+		dispatch("mark", { status: "incorrect" });
 	} else if (e.key.toLowerCase() === "s") {
 		e.preventDefault();
-		markAndAdvance("skipped");
+		dispatch("mark", { status: "skipped" });
+	} else if (e.key.toLowerCase() === "t") {
+		e.preventDefault();
+		dispatch("mark", { status: "told" });
 	} else if (e.key === "0") {
 		e.preventDefault();
-		resetStatuses();
+		dispatch("reset");
 	} else if (e.key === "b") {
 		e.preventDefault();
-		triggerManualBacktrack();
+		dispatch("backtrack");
 	} else if (e.key === "d") {
 		e.preventDefault();
 		showDecisionBufferState();
@@ -446,57 +1239,154 @@ window.addEventListener("keydown", (e) => {
 
 bindTokenJump(els.tokensContainer, (idx) => {
 	// Jump to clicked word; set that word current without changing status
-	setPointer(idx);
+	dispatch("jump", { index: idx });
+});
+
+bindTokenMenu(els.tokensContainer, (idx, x, y) => {
+	const t = state.tokens[idx];
+	state.menuIndex = idx;
+	showWordMenu(x, y, { text: t.text, status: t.status, note: t.note });
+});
+
+bindWordMenu({
+	onStatus: (status, note) => {
+		dispatch("override", { index: state.menuIndex, status, note });
+		hideWordMenu();
+	},
+	onNote: (note) => {
+		dispatch("override", { index: state.menuIndex, note });
+		hideWordMenu();
+	},
 });
 
 bindSentenceClicks((sentenceId) => {
 	const s = state.sentences.find((x) => x.id === sentenceId);
 	if (!s) return;
-	setPointer(s.startIndex);
+	dispatch("jump", { index: s.startIndex });
 });
 
 // Initial state
 setControlsEnabled(false);
 
 // Speech integration (M2)
-state.speech = new SpeechEngine();
-if (!state.speech.supported) {
-	setASRStatus("unsupported");
-} else {
-	setASRStatus("idle");
+const speechBackends = {
+	webspeech: new WebSpeechBackend(),
+	vosk: new VoskBackend(),
+};
+
+function selectSpeechBackend(name) {
+	const key = speechBackends[name] ? name : "webspeech";
+	state.speech.setBackend(speechBackends[key]);
+	if (els.asrBackend) els.asrBackend.value = key;
+	els.modelFile?.classList.toggle("hidden", key !== "vosk");
+	localStorage.setItem("asrBackend", key);
+	if (!state.speech.supported) setASRStatus("unsupported");
+	else if (key === "vosk" && !speechBackends.vosk.modelFile) setASRStatus("choose a model file");
+	else setASRStatus("idle");
 }
 
+state.speech = new SpeechEngine(speechBackends.webspeech);
+selectSpeechBackend(localStorage.getItem("asrBackend"));
+
+// The language drives tokenizing (spoken forms), phonetic matching and the
+// recognizer. Tokens depend on it, so an untouched passage is re-tokenized.
+function setLanguage(lang) {
+	state.lang = lang || "en-GB";
+	if (els.langSelect) els.langSelect.value = state.lang;
+	state.speech.setLanguage(state.lang);
+}
+
+setLanguage(localStorage.getItem("lang") || els.langSelect?.value);
+els.langSelect?.addEventListener("change", () => {
+	setLanguage(els.langSelect.value);
+	localStorage.setItem("lang", state.lang);
+	if (state.recorder && state.tokens.length && !hasProgress() && !state.speech.running) {
+		loadTokensFromText(state.recorder.text);
+	}
+});
+
 function ensureSessionStarted() {
 	if (!state.sessionActive) startSession();
 }
 
-state.speech.onStatus = (s) => setASRStatus(s);
-state.speech.onPartial = (text) => {
+// Interim transcripts are aligned provisionally: matched words get a tentative
+// style and the pointer is shown ahead, but nothing is committed. The final
+// result replaces the preview, confirming or rolling back those marks.
+function showProvisional(text) {
 	setLastHeard(text);
-};
-state.speech.onFinal = (text) => {
+	if (state.alignmentPaused || !state.aligner || state.pointer < 0) return;
+	state.aligner.previewPhrase(text);
+}
+
+function showPreview(preview) {
+	if (state.alignmentPaused || state.pointer < 0) return;
+	state.provisional = preview;
+	tokenView.setMarked("tentative", preview.matched);
+	tokenView.setCurrent(preview.pointer);
+}
+
+function clearProvisional() {
+	if (!state.provisional) return;
+	state.provisional = null;
+	tokenView.setMarked("tentative", []);
+	tokenView.setCurrent(state.pointer);
+}
+
+function alignFinal(text, wordTimes, hypotheses) {
 	setLastHeard(text);
+	clearProvisional();
+	if (state.alignmentPaused) return;
 	ensureSessionStarted();
 	if (!state.aligner) return;
-	const consumed = state.aligner.advanceWithPhrase(text);
+	state.aligner.advanceWithPhrase(text, wordTimes, hypotheses);
+}
+
+function phraseAligned(consumed) {
+	// Everything the aligner changed for the phrase is one undo step
+	state.undoHistory.end();
 	if (consumed > 0) {
 		refreshMetrics();
 		// Check for auto-backtrack after speech processing
 		checkAutoBacktrack();
 	}
+}
+
+state.speech.onStatus = (s) => setASRStatus(s);
+state.speech.onPartial = (text) => {
+	dispatch("partial", { text });
+};
+state.speech.onFinal = (text, meta) => {
+	const hypotheses = { alternatives: meta?.alternatives, wordConfidences: meta?.wordConfidences };
+	if (!state.recorder) {
+		alignFinal(text, meta?.wordTimes, hypotheses);
+		return;
+	}
+	// Without recognizer word times, use the arrival time so replays match
+	const receivedAt = meta?.receivedAt ?? Date.now();
+	const wordTimes = meta?.wordTimes || text.trim().split(/\s+/).map(() => receivedAt);
+	dispatch("final", {
+		text,
+		wordTimes: wordTimes.map((t) => state.recorder.toOffset(t)),
+		...hypotheses,
+	});
 };
 
 els.micStartBtn.addEventListener("click", () => {
 	if (!state.tokens.length) return;
-	if (els.langSelect?.value) state.speech.setLanguage(els.langSelect.value);
 	state.speech.start();
 });
 els.micStopBtn.addEventListener("click", () => {
 	state.speech.stop();
 });
+els.asrBackend?.addEventListener("change", () => selectSpeechBackend(els.asrBackend.value));
+els.modelFile?.addEventListener("change", () => {
+	const file = els.modelFile.files && els.modelFile.files[0];
+	speechBackends.vosk.setModelFile(file);
+	if (file) setASRStatus("idle");
+});
 
 // Drift banner actions
-els.realignNextSentenceBtn?.addEventListener("click", () => {
+function realignNextSentence() {
 	if (!state.sentences.length) {
 		showDriftBanner(false);
 		return;
@@ -513,5 +1403,411 @@ els.realignNextSentenceBtn?.addEventListener("click", () => {
 	const next = state.sentences[currentSentence.id + 1];
 	if (next) setPointer(next.startIndex);
 	showDriftBanner(false);
-});
+}
+
+els.realignNextSentenceBtn?.addEventListener("click", () => dispatch("realign"));
 els.realignDismissBtn?.addEventListener("click", () => showDriftBanner(false));
+
+// Resume banner actions
+els.resumeSessionBtn?.addEventListener("click", () => {
+	// The saved snapshot goes into the log so a replay can restore it
+	if (!state.pendingResume) return;
+	const saved = snapshotTimes(state.pendingResume, (t) => state.recorder.toOffset(t));
+	dispatch("resume", { saved });
+});
+els.discardSessionBtn?.addEventListener("click", () => {
+	state.pendingResume = null;
+	showResumeBanner(false);
+	discardSavedSession();
+});
+
+// Report export
+function exportReport(format) {
+	if (!state.tokens.length) return;
+	const report = buildReport({
+		tokens: state.tokens,
+		sentences: state.sentences,
+		metrics: state.metrics.current(state.startedAt),
+		timing: state.timing.current(),
+		reader: els.readerName?.value.trim() || "",
+		passagePreview: state.sentences[0]?.preview || "",
+		readability: state.readability,
+	});
+	const stamp = report.generatedAt.slice(0, 19).replace(/[:T]/g, "-");
+	const base = `reading-report-${stamp}`;
+	if (format === "csv") {
+		downloadFile(`${base}.csv`, reportToCSV(report), "text/csv");
+	} else if (format === "html") {
+		downloadFile(`${base}.html`, reportToHTML(report), "text/html");
+	} else if (format === "running-record") {
+		const record = buildRunningRecord(state.tokens, state.sentences, state.levelBands);
+		downloadFile(
+			`running-record-${stamp}.html`,
+			runningRecordToHTML(record, { reader: report.reader }),
+			"text/html"
+		);
+	} else {
+		downloadFile(`${base}.json`, reportToJSON(report), "application/json");
+	}
+}
+
+els.exportBtn?.addEventListener("click", () =>
+	exportReport(els.exportFormat?.value || "json")
+);
+
+// Session log download and replay
+function downloadSessionLog() {
+	if (!state.recorder) return;
+	const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+	downloadFile(
+		`session-log-${stamp}.json`,
+		state.recorder.toJSON(currentStatuses()),
+		"application/json"
+	);
+}
+
+function replaySessionLog(log) {
+	if (state.speech && state.speech.running) state.speech.stop();
+	applySettings(log.settings);
+	loadTokensFromText(log.text, { replay: true });
+	// Align with the lexicon the session was recorded with, not the stored one
+	if (log.settings.lexicon) state.aligner.setLexicon(log.settings.lexicon);
+	// Place recorded times so the last event lands at the present
+	const last = log.events.length ? log.events[log.events.length - 1].t : 0;
+	const startedAt = Date.now() - last;
+	state.recorder = SessionRecorder.fromLog(log, startedAt);
+	state.replay = { now: null };
+	let replayed = 0;
+	for (const e of log.events) {
+		if (!actions[e.type]) continue;
+		state.replay.now = startedAt + e.t;
+		runAction(e.type, e);
+		replayed++;
+	}
+	state.replay.now = null;
+	refreshMetrics();
+
+	let message = `Replayed ${replayed} events.`;
+	if (log.statuses) {
+		const diff = diffStatuses(log.statuses, currentStatuses());
+		if (diff.length === 0) message += " Word statuses match the recording.";
+		else {
+			message += ` ${diff.length} word(s) differ from the recording.`;
+			console.warn("Replay differs at token indices:", diff);
+		}
+	}
+	return message;
+}
+
+els.downloadLogBtn?.addEventListener("click", () => downloadSessionLog());
+els.replayLogInput?.addEventListener("change", async (e) => {
+	const file = e.target.files && e.target.files[0];
+	if (!file) return;
+	let log;
+	try {
+		log = parseSessionLog(await file.text());
+	} catch (err) {
+		if (els.logStatus) els.logStatus.textContent = err.message;
+		return;
+	} finally {
+		e.target.value = "";
+	}
+	els.inputText.value = log.text;
+	els.charCount.textContent = `${log.text.length} characters`;
+	const message = replaySessionLog(log);
+	if (els.logStatus) els.logStatus.textContent = message;
+});
+
+els.hesitationSec?.addEventListener("change", () => {
+	const sec = Number(els.hesitationSec.value);
+	if (!Number.isFinite(sec) || sec <= 0) return;
+	state.hesitationMs = sec * 1000;
+	state.timing.setHesitationMs(state.hesitationMs);
+	refreshTiming();
+});
+
+// Fluency probe controls
+els.probeStartBtn?.addEventListener("click", () => dispatch("probeStart", probeOptions()));
+if (els.normsText) els.normsText.value = formatNorms(state.norms);
+els.normsSaveBtn?.addEventListener("click", () => {
+	try {
+		const norms = JSON.parse(els.normsText.value);
+		saveNorms(norms);
+		state.norms = norms;
+		els.normsStatus.textContent = "Saved";
+	} catch (err) {
+		els.normsStatus.textContent = `Not saved: ${err.message}`;
+	}
+});
+els.normsResetBtn?.addEventListener("click", () => {
+	state.norms = resetNorms();
+	els.normsText.value = formatNorms(state.norms);
+	els.normsStatus.textContent = "Defaults restored";
+});
+
+// Pronunciation lexicon
+function lexiconScopeKey() {
+	return els.lexiconScope?.value === "passage" ? state.textKey : null;
+}
+
+function showLexicon() {
+	if (!els.lexiconText) return;
+	const key = lexiconScopeKey();
+	const entries = key ? state.lexicon.passages[key] || {} : state.lexicon.all;
+	els.lexiconText.value = JSON.stringify(entries, null, 2);
+	els.lexiconStatus.textContent = "";
+}
+
+// Offer to accept what was heard for the current word when it was marked wrong
+function showAcceptHeard() {
+	if (!els.acceptHeardBtn) return;
+	const t = state.tokens[state.pointer];
+	const show = !!(t && t.status === "incorrect" && t.heard);
+	els.acceptHeardBtn.classList.toggle("hidden", !show);
+	if (show) els.acceptHeardBtn.textContent = `Accept "${t.heard}"`;
+}
+
+function acceptHeard() {
+	const t = state.tokens[state.pointer];
+	if (!t || t.status !== "incorrect" || !t.heard) return;
+	if (addLexiconVariant(state.lexicon, t.norm, t.heard, lexiconScopeKey())) {
+		saveLexicon(state.lexicon);
+		showLexicon();
+	}
+	dispatch("config", { lexicon: lexiconFor(state.lexicon, state.textKey) });
+	// Learned as a lexicon variant, so not also as an override that lowers the threshold
+	state.autoMarks.delete(state.pointer);
+	dispatch("mark", { status: "correct" });
+	// The word was usually revisited by clicking it; carry on where reading stopped
+	const frontier = readingFrontier();
+	if (frontier >= 0 && frontier !== state.pointer) dispatch("jump", { index: frontier });
+}
+
+// First pending word after the last word with a status
+function readingFrontier() {
+	for (let i = state.tokens.length - 1; i >= 0; i--) {
+		const t = state.tokens[i];
+		if (t.isWord && t.status !== "pending") return nextWordIndex(state.tokens, i);
+	}
+	return firstWordIndex(state.tokens);
+}
+
+els.lexiconScope?.addEventListener("change", () => showLexicon());
+els.lexiconSaveBtn?.addEventListener("click", () => {
+	const key = lexiconScopeKey();
+	if (els.lexiconScope?.value === "passage" && !key) {
+		els.lexiconStatus.textContent = "Load a passage first";
+		return;
+	}
+	try {
+		const entries = parseLexiconEntries(JSON.parse(els.lexiconText.value || "{}"));
+		if (key) state.lexicon.passages[key] = entries;
+		else state.lexicon.all = entries;
+		saveLexicon(state.lexicon);
+		els.lexiconText.value = JSON.stringify(entries, null, 2);
+		els.lexiconStatus.textContent = "Saved";
+		if (state.aligner) dispatch("config", { lexicon: lexiconFor(state.lexicon, state.textKey) });
+	} catch (err) {
+		els.lexiconStatus.textContent = `Not saved: ${err.message}`;
+	}
+});
+showLexicon();
+
+// Running record view
+els.runningRecordBtn?.addEventListener("click", () => {
+	state.showRunningRecord = !state.showRunningRecord;
+	showRunningRecord(state.showRunningRecord);
+	if (state.showRunningRecord) refreshRunningRecord();
+});
+if (els.bandIndependent && els.bandInstructional) {
+	els.bandIndependent.value = String(state.levelBands.independent);
+	els.bandInstructional.value = String(state.levelBands.instructional);
+	const onBandsChange = () => {
+		const independent = Number(els.bandIndependent.value);
+		const instructional = Number(els.bandInstructional.value);
+		if (!Number.isFinite(independent) || !Number.isFinite(instructional)) return;
+		state.levelBands = { independent, instructional: Math.min(instructional, independent) };
+		saveLevelBands(state.levelBands);
+		if (state.showRunningRecord) refreshRunningRecord();
+	};
+	els.bandIndependent.addEventListener("change", onBandsChange);
+	els.bandInstructional.addEventListener("change", onBandsChange);
+}
+
+// Costs learned from overrides
+function currentCostProfileKey() {
+	return costProfileKey(els.costScope?.value, els.readerName?.value.trim());
+}
+
+function learnFromOverride(t, from, to) {
+	recordOverride(state.costProfiles, currentCostProfileKey(), { expected: t.norm, heard: t.heard || "", from, to });
+	saveCostProfiles(state.costProfiles);
+	showCostProfile();
+}
+
+// Costs for the current reader or class, or the defaults without overrides
+function learnedCosts() {
+	return profileCosts(state.costProfiles, currentCostProfileKey()) || DEFAULT_COSTS;
+}
+
+function showCostProfile() {
+	if (!els.costStatus) return;
+	const key = currentCostProfileKey();
+	const costs = profileCosts(state.costProfiles, key);
+	if (!costs) {
+		els.costStatus.textContent = "Default costs";
+		return;
+	}
+	const n = state.costProfiles[key].overrides.length;
+	els.costStatus.textContent =
+		`Learned from ${n} correction${n === 1 ? "" : "s"}: threshold ${costs.thresholdOffset >= 0 ? "+" : ""}${costs.thresholdOffset.toFixed(2)}, ` +
+		`skip ${costs.deletionCost.toFixed(2)}, extra word ${costs.insertionCost.toFixed(2)}`;
+}
+
+if (els.costScope) {
+	els.costScope.value = localStorage.getItem("costScope") || "reader";
+	els.costScope.addEventListener("change", () => {
+		localStorage.setItem("costScope", els.costScope.value);
+		showCostProfile();
+	});
+}
+els.resetCostsBtn?.addEventListener("click", () => {
+	resetCostProfile(state.costProfiles, currentCostProfileKey());
+	saveCostProfiles(state.costProfiles);
+	showCostProfile();
+	if (state.tokens.length) dispatch("config", { costs: DEFAULT_COSTS });
+});
+
+// Session history dashboard
+if (els.readerName) {
+	els.readerName.value = localStorage.getItem("readerName") || "";
+	els.readerName.addEventListener("input", () => {
+		localStorage.setItem("readerName", els.readerName.value.trim());
+		showCostProfile();
+	});
+}
+showCostProfile();
+els.historyBtn?.addEventListener("click", () => {
+	const d = document.getElementById("dashboard");
+	showDashboard(!!d && d.classList.contains("hidden"));
+	refreshDashboard();
+});
+els.historyCloseBtn?.addEventListener("click", () => showDashboard(false));
+bindDashboardFilters(() => refreshDashboard());
+bindHistoryDelete(async (id) => {
+	try {
+		await deleteSessionRecord(id);
+	} catch (err) {
+		console.warn("Failed to delete session:", err);
+	}
+	refreshDashboard();
+});
+
+// Passage library
+async function refreshLibrary() {
+	try {
+		const [passages, records] = await Promise.all([listPassages(), listSessionRecords()]);
+		const counts = new Map();
+		for (const r of records) {
+			if (r.passageId != null) counts.set(r.passageId, (counts.get(r.passageId) || 0) + 1);
+		}
+		renderLibrary(passages, counts);
+	} catch (err) {
+		console.warn("Failed to load passage library:", err);
+	}
+}
+
+function showLibraryStatus(message) {
+	if (els.libraryStatus) els.libraryStatus.textContent = message;
+}
+
+bindLibraryActions({
+	onFilter: () => refreshLibrary(),
+	onLoad: async (id) => {
+		const p = await getPassage(id).catch(() => null);
+		if (!p) return;
+		setInputText(p.text);
+		loadTokensFromText(p.text, { passage: { id: p.id, title: p.title, textKey: p.textKey } });
+	},
+	onDelete: async (id) => {
+		try {
+			await deletePassage(id);
+		} catch (err) {
+			console.warn("Failed to delete passage:", err);
+		}
+		refreshLibrary();
+	},
+});
+
+// Saving text that is already in the library updates its details
+els.librarySaveBtn?.addEventListener("click", async () => {
+	const record = passageRecord({
+		title: els.passageTitle?.value,
+		source: els.passageSource?.value,
+		level: els.passageLevel?.value,
+		tags: els.passageTags?.value,
+		text: els.inputText.value,
+	});
+	if (!record.text) {
+		showLibraryStatus("Nothing to save: the text box is empty");
+		return;
+	}
+	try {
+		const existing = (await listPassages()).find((p) => p.textKey === record.textKey);
+		if (existing) {
+			record.id = existing.id;
+			record.addedAt = existing.addedAt;
+		}
+		record.id = await savePassage(record);
+		if (state.passage?.textKey === record.textKey || state.textKey === record.textKey) {
+			state.passage = { id: record.id, title: record.title, textKey: record.textKey };
+		}
+		showLibraryStatus(`${existing ? "Updated" : "Saved"} "${record.title}"`);
+	} catch (err) {
+		showLibraryStatus(`Could not save: ${err.message}`);
+	}
+	refreshLibrary();
+});
+
+els.libraryExportBtn?.addEventListener("click", async () => {
+	const passages = await listPassages().catch(() => []);
+	const stamp = new Date().toISOString().slice(0, 10);
+	downloadFile(`passage-library-${stamp}.json`, libraryBundle(passages), "application/json");
+});
+
+// Passages whose text is already in the library are skipped
+els.libraryImportInput?.addEventListener("change", async (e) => {
+	const file = e.target.files && e.target.files[0];
+	if (!file) return;
+	try {
+		const incoming = parseLibraryBundle(await file.text());
+		const known = new Set((await listPassages()).map((p) => p.textKey));
+		let added = 0;
+		for (const record of incoming) {
+			if (known.has(record.textKey)) continue;
+			known.add(record.textKey);
+			await savePassage(record);
+			added++;
+		}
+		const skipped = incoming.length - added;
+		showLibraryStatus(`Imported ${added} passage${added === 1 ? "" : "s"}${skipped ? ` (${skipped} already in the library)` : ""}`);
+	} catch (err) {
+		showLibraryStatus(err.message);
+	} finally {
+		e.target.value = "";
+	}
+	refreshLibrary();
+});
+refreshLibrary();
+
+// Flush pending saves when the tab is hidden or closed
+window.addEventListener("pagehide", () => {
+	persistSession();
+	flushArchiveUpdate();
+});
+document.addEventListener("visibilitychange", () => {
+	if (document.visibilityState === "hidden") {
+		persistSession();
+		flushArchiveUpdate();
+	}
+});
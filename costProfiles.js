@@ -0,0 +1,101 @@
+// Aligner costs tuned from teacher overrides of automatic marks, kept per
+// reader or for the whole class. The match threshold itself is the
+// sensitivity slider's; overrides only shift it.
+import { get as levenshtein } from "./libs/levenshtein-esm.js";
+
+const STORAGE_KEY = "costProfiles";
+const MAX_OVERRIDES = 200; // most recent overrides kept per profile
+const NEAR_MISS = 0.5; // spelling similarity of a heard word that was close to the text word
+
+export const DEFAULT_COSTS = {
+	thresholdOffset: 0,
+	deletionCost: 0.5,
+	insertionCost: 0.3,
+};
+
+// How far one override moves a cost, and the range it may move in
+const TUNING = {
+	thresholdOffset: { step: 0.02, min: -0.2, max: 0.15 },
+	deletionCost: { step: 0.05, min: 0.2, max: 1 },
+	insertionCost: { step: 0.03, min: 0.1, max: 0.6 },
+};
+
+// Profile key: one per named reader, or shared by the class
+export function costProfileKey(scope, reader) {
+	return scope === "reader" && reader ? `reader:${reader.toLowerCase()}` : "class";
+}
+
+export function loadCostProfiles() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+		if (saved && typeof saved === "object") return saved;
+	} catch (_) {}
+	return {};
+}
+
+export function saveCostProfiles(profiles) {
+	localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Store a manual mark that replaced an automatic one.
+ * @param {object} override { expected, heard, from, to } with from/to statuses
+ */
+export function recordOverride(profiles, key, override) {
+	const profile = profiles[key] || (profiles[key] = { overrides: [] });
+	profile.overrides.push({ ...override, at: Date.now() });
+	if (profile.overrides.length > MAX_OVERRIDES) {
+		profile.overrides.splice(0, profile.overrides.length - MAX_OVERRIDES);
+	}
+}
+
+export function resetCostProfile(profiles, key) {
+	delete profiles[key];
+}
+
+/**
+ * Costs for a profile, or null while it has no overrides to learn from.
+ */
+export function profileCosts(profiles, key) {
+	const overrides = profiles[key]?.overrides || [];
+	return overrides.length ? tuneCosts(overrides) : null;
+}
+
+/**
+ * Nudge the default costs once per override, towards what the teacher marked:
+ *   incorrect → correct, for a heard word close to the text word: matching
+ *     was too strict, lower the threshold. A word heard as something
+ *     unrelated was misrecognized, which no threshold fixes.
+ *   correct → incorrect, for a heard word other than the text word:
+ *     matching was too lenient, raise it
+ *   skipped → read: skipping was too cheap, raise the deletion cost
+ *   read → skipped: a word was matched to something else that was said;
+ *     deleting it and inserting the spoken word should be cheaper
+ */
+export function tuneCosts(overrides) {
+	const costs = { ...DEFAULT_COSTS };
+	const nudge = (name, direction) => {
+		const { step, min, max } = TUNING[name];
+		costs[name] = Math.min(max, Math.max(min, costs[name] + direction * step));
+	};
+	for (const { expected, heard, from, to } of overrides) {
+		const read = (s) => s === "correct" || s === "incorrect" || s === "selfcorrected";
+		if (from === "incorrect" && (to === "correct" || to === "selfcorrected")) {
+			if (heard && similarity(heard, expected) >= NEAR_MISS) nudge("thresholdOffset", -1);
+		} else if (from === "correct" && to === "incorrect") {
+			if (heard && heard !== expected) nudge("thresholdOffset", 1);
+		} else if (from === "skipped" && read(to)) {
+			nudge("deletionCost", 1);
+		} else if (read(from) && to === "skipped") {
+			nudge("deletionCost", -1);
+			nudge("insertionCost", -1);
+		}
+	}
+	for (const name of Object.keys(TUNING)) costs[name] = Math.round(costs[name] * 100) / 100;
+	return costs;
+}
+
+function similarity(a, b) {
+	const maxLen = Math.max(a.length, b.length) || 1;
+	return 1 - levenshtein(a, b) / maxLen;
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_COSTS, tuneCosts, recordOverride, profileCosts, costProfileKey } from "./costProfiles.js";
+
+test("no overrides leave the default costs", () => {
+	assert.deepEqual(tuneCosts([]), DEFAULT_COSTS);
+});
+
+test("a near miss marked correct lowers the threshold", () => {
+	const costs = tuneCosts([{ expected: "walked", heard: "walk", from: "incorrect", to: "correct" }]);
+	assert.equal(costs.thresholdOffset, -0.02);
+});
+
+test("a misrecognized word marked correct teaches nothing", () => {
+	const costs = tuneCosts([{ expected: "walked", heard: "banana", from: "incorrect", to: "correct" }]);
+	assert.deepEqual(costs, DEFAULT_COSTS);
+});
+
+test("a different word accepted as correct raises the threshold", () => {
+	const costs = tuneCosts([
+		{ expected: "house", heard: "horse", from: "correct", to: "incorrect" },
+		{ expected: "house", heard: "house", from: "correct", to: "incorrect" },
+	]);
+	assert.equal(costs.thresholdOffset, 0.02);
+});
+
+test("skips tune the deletion and insertion costs", () => {
+	assert.equal(tuneCosts([{ expected: "a", heard: "", from: "skipped", to: "correct" }]).deletionCost, 0.55);
+	const costs = tuneCosts([{ expected: "a", heard: "the", from: "incorrect", to: "skipped" }]);
+	assert.equal(costs.deletionCost, 0.45);
+	assert.equal(costs.insertionCost, 0.27);
+});
+
+test("costs stay within their range", () => {
+	const overrides = new Array(50).fill({ expected: "cat", heard: "cats", from: "incorrect", to: "correct" });
+	assert.equal(tuneCosts(overrides).thresholdOffset, -0.2);
+});
+
+test("profiles are kept per reader or for the class", () => {
+	const profiles = {};
+	assert.equal(costProfileKey("reader", "Sam"), "reader:sam");
+	assert.equal(costProfileKey("class", "Sam"), "class");
+	assert.equal(profileCosts(profiles, "reader:sam"), null);
+	recordOverride(profiles, "reader:sam", { expected: "a", heard: "", from: "skipped", to: "correct" });
+	assert.equal(profileCosts(profiles, "reader:sam").deletionCost, 0.55);
+	assert.equal(profileCosts(profiles, "class"), null);
+});
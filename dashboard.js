@@ -0,0 +1,255 @@
+// Session history dashboard: filters, trend charts and session table
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const SERIES_COLORS = ["#4aa3ff", "#2ecc71", "#ffdd57", "#e74c3c", "#b57aff", "#ff9f43"];
+const CHART_W = 420;
+const CHART_H = 180;
+const PAD = { top: 10, right: 12, bottom: 24, left: 36 };
+
+export function showDashboard(show) {
+	const d = document.getElementById("dashboard");
+	if (d) d.classList.toggle("hidden", !show);
+}
+
+/**
+ * Render the dashboard for the given history records.
+ * Filters come from the #dashReader, #dashPassage and #dashGroup selects.
+ */
+export function renderDashboard(records) {
+	const readerSel = document.getElementById("dashReader");
+	const passageSel = document.getElementById("dashPassage");
+	const groupSel = document.getElementById("dashGroup");
+	fillSelect(readerSel, uniqueOptions(records, (r) => r.reader, (r) => r.reader || "(unnamed)"));
+	fillSelect(passageSel, uniqueOptions(records, (r) => r.passageKey, (r) => r.passageTitle || r.passagePreview));
+
+	const reader = readerSel?.value ?? "*";
+	const passageKey = passageSel?.value ?? "*";
+	const filtered = records
+		.filter((r) => reader === "*" || (r.reader || "") === reader)
+		.filter((r) => passageKey === "*" || r.passageKey === passageKey)
+		.sort((a, b) => a.finishedAt - b.finishedAt);
+
+	const groupBy = groupSel?.value === "reader" ? "reader" : "passage";
+	const series = groupSeries(filtered, groupBy);
+	renderLineChart(document.getElementById("accuracyChart"), series, {
+		value: (r) => r.accuracy * 100,
+		yMax: 100,
+		format: (v) => `${v.toFixed(0)}%`,
+	});
+	renderLineChart(document.getElementById("wpmChart"), series, {
+		value: (r) => r.wpm,
+		format: (v) => v.toFixed(0),
+	});
+	renderLegend(series);
+	renderHistoryTable(filtered);
+}
+
+export function bindDashboardFilters(onChange) {
+	for (const id of ["dashReader", "dashPassage", "dashGroup"]) {
+		document.getElementById(id)?.addEventListener("change", () => onChange());
+	}
+}
+
+export function bindHistoryDelete(onDelete) {
+	const body = document.getElementById("historyTableBody");
+	if (!body) return;
+	body.addEventListener("click", (e) => {
+		const t = e.target;
+		if (!(t instanceof HTMLElement)) return;
+		const id = t.dataset.deleteId;
+		if (id != null) onDelete(Number(id));
+	});
+}
+
+function uniqueOptions(records, keyFn, labelFn) {
+	const seen = new Map();
+	for (const r of records) {
+		const key = keyFn(r) || "";
+		if (!seen.has(key)) seen.set(key, labelFn(r) || key);
+	}
+	return [...seen.entries()].map(([value, label]) => ({ value, label }));
+}
+
+// Replace options while keeping the current selection when it still exists
+function fillSelect(select, options) {
+	if (!select) return;
+	const current = select.value || "*";
+	select.innerHTML = "";
+	const all = document.createElement("option");
+	all.value = "*";
+	all.textContent = "All";
+	select.appendChild(all);
+	for (const o of options) {
+		const opt = document.createElement("option");
+		opt.value = o.value;
+		opt.textContent = o.label;
+		select.appendChild(opt);
+	}
+	select.value = options.some((o) => o.value === current) ? current : "*";
+}
+
+function groupSeries(records, groupBy) {
+	const groups = new Map();
+	for (const r of records) {
+		const key = groupBy === "reader" ? r.reader || "" : r.passageKey;
+		const label =
+			groupBy === "reader" ? r.reader || "(unnamed)" : r.passagePreview || r.passageKey;
+		if (!groups.has(key)) groups.set(key, { label, records: [] });
+		groups.get(key).records.push(r);
+	}
+	return [...groups.values()].map((g, i) => ({
+		...g,
+		color: SERIES_COLORS[i % SERIES_COLORS.length],
+	}));
+}
+
+function svgEl(tag, attrs) {
+	const el = document.createElementNS(SVG_NS, tag);
+	for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+	return el;
+}
+
+// Plot one line per series with time on the x axis
+function renderLineChart(container, series, { value, yMax, format }) {
+	if (!container) return;
+	container.innerHTML = "";
+	const points = series.flatMap((s) =>
+		s.records.filter((r) => isFinite(value(r))).map((r) => ({ t: r.finishedAt, v: value(r) }))
+	);
+	if (points.length === 0) {
+		container.textContent = "No sessions yet";
+		return;
+	}
+	const tMin = Math.min(...points.map((p) => p.t));
+	const tMax = Math.max(...points.map((p) => p.t));
+	const vMax = yMax || Math.max(10, ...points.map((p) => p.v)) * 1.1;
+	const plotW = CHART_W - PAD.left - PAD.right;
+	const plotH = CHART_H - PAD.top - PAD.bottom;
+	const x = (t) => PAD.left + (tMax > tMin ? ((t - tMin) / (tMax - tMin)) * plotW : plotW / 2);
+	const y = (v) => PAD.top + plotH - (Math.min(v, vMax) / vMax) * plotH;
+
+	const svg = svgEl("svg", { viewBox: `0 0 ${CHART_W} ${CHART_H}`, class: "chart-svg" });
+	for (const frac of [0, 0.5, 1]) {
+		const v = vMax * frac;
+		svg.appendChild(svgEl("line", { x1: PAD.left, x2: CHART_W - PAD.right, y1: y(v), y2: y(v), class: "chart-grid" }));
+		const label = svgEl("text", { x: PAD.left - 4, y: y(v) + 4, "text-anchor": "end", class: "chart-label" });
+		label.textContent = format(v);
+		svg.appendChild(label);
+	}
+	const dateLabel = (t, anchor) => {
+		const el = svgEl("text", { x: x(t), y: CHART_H - 6, "text-anchor": anchor, class: "chart-label" });
+		el.textContent = new Date(t).toLocaleDateString();
+		svg.appendChild(el);
+	};
+	dateLabel(tMin, tMax > tMin ? "start" : "middle");
+	if (tMax > tMin) dateLabel(tMax, "end");
+
+	for (const s of series) {
+		const pts = s.records.filter((r) => isFinite(value(r)));
+		if (pts.length > 1) {
+			const d = pts.map((r, i) => `${i ? "L" : "M"}${x(r.finishedAt)},${y(value(r))}`).join(" ");
+			svg.appendChild(svgEl("path", { d, fill: "none", stroke: s.color, "stroke-width": 2 }));
+		}
+		for (const r of pts) {
+			const dot = svgEl("circle", { cx: x(r.finishedAt), cy: y(value(r)), r: 3, fill: s.color });
+			const tip = svgEl("title", {});
+			tip.textContent = `${s.label}\n${new Date(r.finishedAt).toLocaleString()}: ${format(value(r))}`;
+			dot.appendChild(tip);
+			svg.appendChild(dot);
+		}
+	}
+	container.appendChild(svg);
+}
+
+/**
+ * Simple bar chart, one bar per value. Non-finite values leave a gap.
+ * @param {HTMLElement} container
+ * @param {Array<{ label: string, value: number }>} bars
+ */
+export function renderBarChart(container, bars, { format = (v) => v.toFixed(0), empty = "No data yet" } = {}) {
+	if (!container) return;
+	container.innerHTML = "";
+	const values = bars.map((b) => b.value).filter((v) => isFinite(v));
+	if (values.length === 0) {
+		container.textContent = empty;
+		return;
+	}
+	const vMax = Math.max(...values) * 1.1 || 1;
+	const plotW = CHART_W - PAD.left - PAD.right;
+	const plotH = CHART_H - PAD.top - PAD.bottom;
+	const slot = plotW / bars.length;
+	const y = (v) => PAD.top + plotH - (v / vMax) * plotH;
+
+	const svg = svgEl("svg", { viewBox: `0 0 ${CHART_W} ${CHART_H}`, class: "chart-svg" });
+	for (const frac of [0, 0.5, 1]) {
+		const v = vMax * frac;
+		svg.appendChild(svgEl("line", { x1: PAD.left, x2: CHART_W - PAD.right, y1: y(v), y2: y(v), class: "chart-grid" }));
+		const label = svgEl("text", { x: PAD.left - 4, y: y(v) + 4, "text-anchor": "end", class: "chart-label" });
+		label.textContent = format(v);
+		svg.appendChild(label);
+	}
+	bars.forEach((b, i) => {
+		if (!isFinite(b.value)) return;
+		const rect = svgEl("rect", {
+			x: PAD.left + i * slot + slot * 0.15,
+			y: y(b.value),
+			width: Math.max(1, slot * 0.7),
+			height: PAD.top + plotH - y(b.value),
+			class: "chart-bar",
+		});
+		const tip = svgEl("title", {});
+		tip.textContent = `${b.label}: ${format(b.value)}`;
+		rect.appendChild(tip);
+		svg.appendChild(rect);
+	});
+	container.appendChild(svg);
+}
+
+function renderLegend(series) {
+	const legend = document.getElementById("chartLegend");
+	if (!legend) return;
+	legend.innerHTML = "";
+	for (const s of series) {
+		const item = document.createElement("span");
+		item.className = "legend-item";
+		const swatch = document.createElement("span");
+		swatch.className = "legend-swatch";
+		swatch.style.background = s.color;
+		item.appendChild(swatch);
+		item.appendChild(document.createTextNode(s.label));
+		legend.appendChild(item);
+	}
+}
+
+function renderHistoryTable(records) {
+	const body = document.getElementById("historyTableBody");
+	if (!body) return;
+	body.innerHTML = "";
+	const frag = document.createDocumentFragment();
+	// Most recent first
+	for (const r of [...records].reverse()) {
+		const tr = document.createElement("tr");
+		const cells = [
+			new Date(r.finishedAt).toLocaleString(),
+			r.reader || "–",
+			r.passageTitle || r.passagePreview || "–",
+			isFinite(r.accuracy) ? `${(r.accuracy * 100).toFixed(0)}%` : "–",
+			isFinite(r.wpm) ? r.wpm.toFixed(0) : "–",
+			`${r.incorrect} / ${r.skipped}`,
+			`${r.completed} / ${r.total}${r.complete ? "" : " (stopped)"}`,
+		];
+		for (const c of cells) {
+			const td = document.createElement("td");
+			td.textContent = c;
+			tr.appendChild(td);
+		}
+		const td = document.createElement("td");
+		const del = document.createElement("button");
+		del.textContent = "Delete";
+		del.dataset.deleteId = String(r.id);
+		td.appendChild(del);
+		tr.appendChild(td);
+		frag.appendChild(tr);
+	}
+	body.appendChild(frag);
+}
@@ -42,6 +42,59 @@ export class DecisionBuffer {
     return result;
   }
 
+  /**
+   * Get all stored decisions, oldest first.
+   * @returns {Array} - Array of decision objects.
+   */
+  toArray() {
+    if (this.count < this.size) return this.buffer.slice(0, this.count);
+    return [...this.buffer.slice(this.head), ...this.buffer.slice(0, this.head)];
+  }
+
+  /**
+   * Remove and return the most recent decision.
+   * @returns {Object|undefined} - The decision, or undefined if empty.
+   */
+  pop() {
+    if (this.count === 0) return undefined;
+    const decisions = this.toArray();
+    const last = decisions.pop();
+    this.restore(decisions);
+    return last;
+  }
+
+  /**
+   * Copies of the stored decisions, oldest first, for restore() to put back
+   * later unchanged by updates made in the meantime.
+   * @returns {Array} - Array of decision objects.
+   */
+  snapshot() {
+    return this.toArray().map((d) => ({ ...d }));
+  }
+
+  /**
+   * Change the most recent decision for a token, e.g. after a teacher
+   * overrides its mark.
+   * @param {number} index - Token index the decision is about.
+   * @param {Object} changes - Fields to merge into the decision.
+   * @returns {boolean} - False if no stored decision covers that token.
+   */
+  updateLatest(index, changes) {
+    const decision = this.toArray().reverse().find((d) => d.index === index);
+    if (!decision) return false;
+    Object.assign(decision, changes);
+    return true;
+  }
+
+  /**
+   * Replace the buffer contents with previously saved decisions.
+   * @param {Array} decisions - Decisions in chronological order.
+   */
+  restore(decisions) {
+    this.clear();
+    for (const d of decisions || []) this.push(d);
+  }
+
   /**
    * Clear the buffer.
    */
@@ -0,0 +1,455 @@
+// Passage import from EPUB, HTML, Markdown, DOCX and plain text files, all
+// in the browser. An import gives { title, sections } where each section is
+// { title, level, text } in reading order: level 1 is a chapter or top
+// heading, deeper levels are headings inside it. Text is plain paragraphs
+// separated by blank lines, without markup, navigation or footnote markers.
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+/**
+ * Import a passage file, chosen by its extension; anything unknown is read
+ * as plain text. Throws with a readable message if the file cannot be read.
+ * @param {File} file
+ */
+export async function importPassageFile(file) {
+	const ext = (/\.([a-z0-9]+)$/i.exec(file.name)?.[1] || "").toLowerCase();
+	const title = file.name.replace(/\.[^.]+$/, "");
+	switch (ext) {
+		case "epub":
+			return importEpub(await file.arrayBuffer(), title);
+		case "docx":
+			return importDocx(await file.arrayBuffer(), title);
+		case "html":
+		case "htm":
+		case "xhtml":
+			return importHtml(await file.text(), title);
+		case "md":
+		case "markdown":
+			return importMarkdown(await file.text(), title);
+		default:
+			return { title, sections: [{ title, level: 1, text: await file.text() }] };
+	}
+}
+
+/**
+ * Text of a section and the subsections under it, or of the whole
+ * document for index -1.
+ */
+export function sectionText({ sections }, index) {
+	if (index < 0) return sections.map((s) => s.text).join("\n\n");
+	const parts = [sections[index].text];
+	for (let i = index + 1; i < sections.length && sections[i].level > sections[index].level; i++) {
+		parts.push(sections[i].text);
+	}
+	return parts.join("\n\n");
+}
+
+export function importHtml(html, fallbackTitle = "") {
+	const doc = new DOMParser().parseFromString(html, "text/html");
+	const out = outline();
+	readHtmlBody(doc, out);
+	return { title: cleanText(doc.title) || fallbackTitle, sections: out.done() };
+}
+
+export function importMarkdown(markdown, fallbackTitle = "") {
+	const out = outline();
+	const lines = markdown.replace(/\r\n?/g, "\n").replace(/^---\n[\s\S]*?\n---\n/, "").split("\n");
+	let paragraph = [];
+	let fence = null;
+	const flush = () => {
+		out.paragraph(markdownInline(paragraph.join(" ")));
+		paragraph = [];
+	};
+	for (const line of lines) {
+		if (fence) {
+			if (line.trim().startsWith(fence)) fence = null;
+			continue;
+		}
+		const fenceStart = /^\s*(```|~~~)/.exec(line);
+		if (fenceStart) {
+			// Code is not read aloud
+			flush();
+			fence = fenceStart[1];
+			continue;
+		}
+		const atx = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+		if (atx) {
+			flush();
+			out.heading(atx[1].length, markdownInline(atx[2]));
+			continue;
+		}
+		// Setext heading: a single line underlined with === or ---
+		if (/^\s*(=+|-+)\s*$/.test(line) && paragraph.length === 1) {
+			const text = paragraph[0];
+			paragraph = [];
+			out.heading(line.trim()[0] === "=" ? 1 : 2, markdownInline(text));
+			continue;
+		}
+		if (
+			!line.trim() ||
+			/^\s*([-*_]\s*){3,}$/.test(line) || // rule
+			/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) // table separator
+		) {
+			flush();
+			continue;
+		}
+		// Footnote and link reference definitions
+		if (/^\s{0,3}\[[^\]]+\]:/.test(line)) {
+			flush();
+			continue;
+		}
+		const item = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+		if (item) {
+			flush();
+			paragraph.push(item[1]);
+			continue;
+		}
+		paragraph.push(line.replace(/^\s*(>\s?)+/, "").replace(/\|/g, " "));
+	}
+	flush();
+	return { title: out.firstHeading() || fallbackTitle, sections: out.done() };
+}
+
+export async function importDocx(buffer, fallbackTitle = "") {
+	const zip = await readZip(buffer);
+	if (!zip.has("word/document.xml")) throw new Error("Not a Word document");
+	const doc = parseXml(await zip.text("word/document.xml"));
+	// Heading styles are recognized by name ("heading 1", "Title"), since
+	// style ids differ between languages and templates
+	const styleNames = new Map();
+	if (zip.has("word/styles.xml")) {
+		const styles = parseXml(await zip.text("word/styles.xml"));
+		for (const style of styles.getElementsByTagNameNS(W_NS, "style")) {
+			const name = style.getElementsByTagNameNS(W_NS, "name")[0];
+			styleNames.set(style.getAttributeNS(W_NS, "styleId"), name?.getAttributeNS(W_NS, "val") || "");
+		}
+	}
+	const out = outline();
+	for (const p of doc.getElementsByTagNameNS(W_NS, "p")) {
+		const level = docxHeadingLevel(p, styleNames);
+		const text = docxText(p);
+		if (level) out.heading(level, text);
+		else out.paragraph(text);
+	}
+	return { title: out.firstHeading() || fallbackTitle, sections: out.done() };
+}
+
+export async function importEpub(buffer, fallbackTitle = "") {
+	const zip = await readZip(buffer);
+	if (!zip.has("META-INF/container.xml")) throw new Error("Not an EPUB book");
+	const container = parseXml(await zip.text("META-INF/container.xml"));
+	const opfPath = container.getElementsByTagName("rootfile")[0]?.getAttribute("full-path");
+	if (!opfPath || !zip.has(opfPath)) throw new Error("The EPUB has no package document");
+	const opf = parseXml(await zip.text(opfPath));
+	const items = new Map();
+	for (const item of opf.getElementsByTagName("item")) {
+		items.set(item.getAttribute("id"), {
+			path: resolvePath(opfPath, item.getAttribute("href")),
+			type: item.getAttribute("media-type") || "",
+			properties: item.getAttribute("properties") || "",
+		});
+	}
+	const titles = await epubTocTitles(zip, opf, items);
+	const out = outline();
+	let chapter = 0;
+	for (const ref of opf.getElementsByTagName("itemref")) {
+		// Non-linear items are notes, answer keys and the like
+		if (ref.getAttribute("linear") === "no") continue;
+		const item = items.get(ref.getAttribute("idref"));
+		if (!item || !/html/.test(item.type) || /\bnav\b/.test(item.properties) || !zip.has(item.path)) continue;
+		const doc = parseXhtml(await zip.text(item.path));
+		chapter++;
+		// Chapters without headings are named from the table of contents
+		if (!doc.querySelector("h1, h2, h3, h4, h5, h6")) {
+			out.heading(1, titles.get(item.path) || cleanText(doc.title) || `Chapter ${chapter}`, { inText: false });
+		}
+		readHtmlBody(doc, out);
+	}
+	const title = opf.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", "title")[0];
+	return { title: cleanText(title?.textContent) || fallbackTitle, sections: out.done() };
+}
+
+// Sections built from headings and paragraphs as they are read. Text
+// before the first heading goes into an untitled first section; sections
+// left without text are dropped.
+function outline() {
+	const sections = [];
+	let current = null;
+	return {
+		// inText: false names the section without reading the title aloud
+		heading(level, title, { inText = true } = {}) {
+			const clean = cleanText(title);
+			if (!clean) return;
+			current = { title: clean, level, paragraphs: inText ? [clean] : [] };
+			sections.push(current);
+		},
+		paragraph(text) {
+			const clean = cleanText(text);
+			if (!clean) return;
+			if (!current) {
+				current = { title: "Beginning", level: 1, paragraphs: [] };
+				sections.push(current);
+			}
+			current.paragraphs.push(clean);
+		},
+		firstHeading() {
+			return sections.find((s) => s.paragraphs[0] === s.title)?.title || "";
+		},
+		done() {
+			return sections
+				.filter((s) => s.paragraphs.length)
+				.map(({ title, level, paragraphs }) => ({ title, level, text: paragraphs.join("\n\n") }));
+		},
+	};
+}
+
+// One paragraph of text: whitespace collapsed, footnote markers removed and
+// no space left before punctuation. A marker ("word[1]", "word.¹") follows
+// a word or punctuation directly; "x²" and a "[1]" starting a list item are
+// kept.
+function cleanText(text) {
+	return String(text || "")
+		.replace(/(?<=[\p{L}\p{N}.,;:!?'"’”)])\[\d{1,3}\]|(?<=\p{L}{2}|[.,;:!?'"’”)])[¹²³⁰-⁹]+/gu, "")
+		.replace(/\s+/g, " ")
+		.replace(/ ([.,;:!?])/g, "$1")
+		.trim();
+}
+
+// Markup that is not part of the reading: scripts, page furniture,
+// navigation, figures, footnote references and the notes themselves. An
+// <article>'s own <header> holds its title and is kept.
+const HTML_SKIP = [
+	"script",
+	"style",
+	"noscript",
+	"template",
+	"nav",
+	"body > header",
+	"footer",
+	"aside",
+	"form",
+	"button",
+	"iframe",
+	"svg",
+	"figure",
+	"[hidden]",
+	'[aria-hidden="true"]',
+	'[role="doc-noteref"]',
+	'[role="doc-footnote"]',
+	'[role="doc-endnotes"]',
+	".footnotes",
+	".footnote",
+].join(", ");
+
+// EPUB semantics (epub:type) of the same kind
+const EPUB_NOTES = new Set(["noteref", "footnote", "footnotes", "endnote", "endnotes", "rearnote", "rearnotes"]);
+
+const HTML_BLOCKS = new Set([
+	"address", "article", "blockquote", "body", "dd", "details", "dialog", "div", "dl", "dt",
+	"fieldset", "header", "hgroup", "hr", "li", "main", "ol", "p", "pre", "section", "summary",
+	"table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul",
+]);
+
+// Saved web pages usually wrap the article in <article> or <main>
+function readHtmlBody(doc, out) {
+	const root = doc.querySelector("article") || doc.querySelector("main") || doc.body;
+	if (!root) return;
+	for (const el of doc.querySelectorAll(HTML_SKIP)) el.remove();
+	for (const el of doc.querySelectorAll("*")) {
+		if (epubTypes(el).some((type) => EPUB_NOTES.has(type))) el.remove();
+	}
+	// Footnote marks: a superscript link or a link around a superscript
+	for (const sup of root.querySelectorAll("sup")) {
+		const link = sup.closest('a[href*="#"]') || sup.querySelector('a[href*="#"]');
+		if (link) (link.contains(sup) ? link : sup).remove();
+	}
+	readHtmlBlocks(root, out);
+}
+
+// epub:type values of an element. Attribute selectors cannot be relied on
+// for the prefixed name, so it is read directly.
+function epubTypes(el) {
+	return (el.getAttribute("epub:type") || "").split(/\s+/).filter(Boolean);
+}
+
+// Headings start sections; text outside block elements is gathered into
+// paragraphs around them
+function readHtmlBlocks(el, out) {
+	let inline = "";
+	const flush = () => {
+		out.paragraph(inline);
+		inline = "";
+	};
+	for (const child of el.childNodes) {
+		if (child.nodeType === 3) {
+			inline += child.textContent;
+			continue;
+		}
+		if (child.nodeType !== 1) continue;
+		const tag = child.localName;
+		const heading = /^h([1-6])$/.exec(tag);
+		if (heading) {
+			flush();
+			out.heading(Number(heading[1]), child.textContent);
+		} else if (tag === "br") {
+			inline += " ";
+		} else if (HTML_BLOCKS.has(tag)) {
+			flush();
+			readHtmlBlocks(child, out);
+		} else {
+			inline += child.textContent;
+		}
+	}
+	flush();
+}
+
+// Inline Markdown to plain text
+function markdownInline(text) {
+	const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+	return text
+		.replace(/!\[[^\]]*\]\([^)]*\)/g, "") // images
+		.replace(/\[\^[^\]]+\]/g, "") // footnote references
+		.replace(/\[([^\]]+)\]\([^)]*\)/g, "$1") // links
+		.replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1") // reference links
+		.replace(/<[^>]+>/g, "") // HTML tags and autolinks
+		.replace(/`([^`]*)`/g, "$1")
+		.replace(/(\*\*|__)(.+?)\1/g, "$2")
+		.replace(/\*(.+?)\*/g, "$1")
+		.replace(/(?<!\w)_(.+?)_(?!\w)/g, "$1")
+		.replace(/~~(.+?)~~/g, "$1")
+		.replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, "$1")
+		.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => entities[name]);
+}
+
+function docxHeadingLevel(p, styleNames) {
+	const props = p.getElementsByTagNameNS(W_NS, "pPr")[0];
+	if (!props) return 0;
+	const outlineLevel = props.getElementsByTagNameNS(W_NS, "outlineLvl")[0];
+	if (outlineLevel) {
+		const level = Number(outlineLevel.getAttributeNS(W_NS, "val"));
+		if (level >= 0 && level < 9) return level + 1;
+	}
+	const styleId = props.getElementsByTagNameNS(W_NS, "pStyle")[0]?.getAttributeNS(W_NS, "val") || "";
+	const name = (styleNames.get(styleId) || styleId).toLowerCase();
+	if (name === "title") return 1;
+	const heading = /^heading\s*(\d)$/.exec(name);
+	return heading ? Number(heading[1]) : 0;
+}
+
+// Visible text of a paragraph, from its own runs and those inside links,
+// insertions and fields. Text boxes inside a run hold paragraphs of their
+// own, read separately. Deleted text (w:delText), field codes and footnote
+// reference marks are separate elements and so left out.
+function docxText(p) {
+	let text = "";
+	for (const el of p.children) {
+		if (el.namespaceURI !== W_NS) continue;
+		if (el.localName === "r") {
+			for (const part of el.children) {
+				if (part.namespaceURI !== W_NS) continue;
+				if (part.localName === "t") text += part.textContent;
+				else if (part.localName === "tab" || part.localName === "br" || part.localName === "cr") text += " ";
+			}
+		} else if (el.localName !== "pPr") {
+			text += docxText(el);
+		}
+	}
+	return text;
+}
+
+// Chapter titles by content file, from the EPUB 3 navigation document or
+// the EPUB 2 NCX table of contents
+async function epubTocTitles(zip, opf, items) {
+	const titles = new Map();
+	const add = (base, href, title) => {
+		const path = resolvePath(base, href.split("#")[0]);
+		const clean = cleanText(title);
+		if (clean && !titles.has(path)) titles.set(path, clean);
+	};
+	const nav = [...items.values()].find((item) => /\bnav\b/.test(item.properties));
+	if (nav && zip.has(nav.path)) {
+		const doc = parseXhtml(await zip.text(nav.path));
+		const navs = [...doc.querySelectorAll("nav")];
+		const toc = navs.find((el) => epubTypes(el).includes("toc")) || navs[0];
+		for (const a of toc?.querySelectorAll("a[href]") || []) add(nav.path, a.getAttribute("href"), a.textContent);
+	}
+	const ncxId = opf.getElementsByTagName("spine")[0]?.getAttribute("toc");
+	const ncx = items.get(ncxId);
+	if (ncx && zip.has(ncx.path)) {
+		const doc = parseXml(await zip.text(ncx.path));
+		for (const point of doc.getElementsByTagName("navPoint")) {
+			const label = point.getElementsByTagName("text")[0]?.textContent;
+			const src = point.getElementsByTagName("content")[0]?.getAttribute("src");
+			if (src) add(ncx.path, src, label);
+		}
+	}
+	return titles;
+}
+
+function parseXml(text) {
+	const doc = new DOMParser().parseFromString(text, "application/xml");
+	if (doc.getElementsByTagName("parsererror").length) throw new Error("The file is damaged (invalid XML)");
+	return doc;
+}
+
+// EPUB content documents are XHTML. Parsed as HTML, self-closing tags such
+// as <title/> or <a id="x"/> would take in the rest of the file; files that
+// are not well-formed XML are still read as HTML.
+function parseXhtml(text) {
+	const doc = new DOMParser().parseFromString(text, "application/xhtml+xml");
+	if (!doc.getElementsByTagName("parsererror").length) return doc;
+	return new DOMParser().parseFromString(text, "text/html");
+}
+
+// Path of href relative to the file at `base`, both inside the archive
+function resolvePath(base, href) {
+	const parts = base.split("/").slice(0, -1);
+	for (const part of decodeURIComponent(href).split("/")) {
+		if (part === "..") parts.pop();
+		else if (part && part !== ".") parts.push(part);
+	}
+	return parts.join("/");
+}
+
+// Minimal ZIP reader for EPUB and DOCX: stored and deflated entries, the
+// latter inflated with the browser's DecompressionStream
+async function readZip(buffer) {
+	const view = new DataView(buffer);
+	// The central directory record is at the end, before an optional comment
+	let end = -1;
+	for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+		if (view.getUint32(i, true) === 0x06054b50) {
+			end = i;
+			break;
+		}
+	}
+	if (end < 0) throw new Error("Not a ZIP-based file");
+	const decoder = new TextDecoder();
+	const entries = new Map();
+	let p = view.getUint32(end + 16, true);
+	for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+		if (view.getUint32(p, true) !== 0x02014b50) throw new Error("The file is damaged (bad ZIP directory)");
+		const nameLength = view.getUint16(p + 28, true);
+		entries.set(decoder.decode(new Uint8Array(buffer, p + 46, nameLength)), {
+			method: view.getUint16(p + 10, true),
+			size: view.getUint32(p + 20, true),
+			offset: view.getUint32(p + 42, true),
+		});
+		p += 46 + nameLength + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+	}
+	return {
+		has: (name) => entries.has(name),
+		async text(name) {
+			const { method, size, offset } = entries.get(name);
+			const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+			const data = new Uint8Array(buffer, start, size);
+			if (method === 0) return decoder.decode(data);
+			if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+			if (typeof DecompressionStream === "undefined") {
+				throw new Error("This browser cannot read compressed files");
+			}
+			const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+			return decoder.decode(await new Response(stream).arrayBuffer());
+		},
+	};
+}
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import { importMarkdown, importHtml, importDocx, sectionText } from "./importers.js";
+
+globalThis.DOMParser = new JSDOM().window.DOMParser;
+
+// ZIP archive of stored (uncompressed) files; the reader does not check CRCs
+function storedZip(files) {
+	const encoder = new TextEncoder();
+	const local = [];
+	const central = [];
+	let offset = 0;
+	for (const [name, text] of Object.entries(files)) {
+		const nameBytes = encoder.encode(name);
+		const data = encoder.encode(text);
+		const header = new DataView(new ArrayBuffer(30));
+		header.setUint32(0, 0x04034b50, true);
+		header.setUint32(18, data.length, true);
+		header.setUint32(22, data.length, true);
+		header.setUint16(26, nameBytes.length, true);
+		local.push(new Uint8Array(header.buffer), nameBytes, data);
+		const entry = new DataView(new ArrayBuffer(46));
+		entry.setUint32(0, 0x02014b50, true);
+		entry.setUint32(20, data.length, true);
+		entry.setUint32(24, data.length, true);
+		entry.setUint16(28, nameBytes.length, true);
+		entry.setUint32(42, offset, true);
+		central.push(new Uint8Array(entry.buffer), nameBytes);
+		offset += 30 + nameBytes.length + data.length;
+	}
+	const size = central.reduce((n, part) => n + part.length, 0);
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, central.length / 2, true);
+	end.setUint16(10, central.length / 2, true);
+	end.setUint32(12, size, true);
+	end.setUint32(16, offset, true);
+	const parts = [...local, ...central, new Uint8Array(end.buffer)];
+	const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+	let p = 0;
+	for (const part of parts) {
+		out.set(part, p);
+		p += part.length;
+	}
+	return out.buffer;
+}
+
+function docx(body) {
+	return storedZip({
+		"word/document.xml":
+			'<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"' +
+			` xmlns:wps="http://schemas.microsoft.com/office/word/2010/wordprocessingShape"><w:body>${body}</w:body></w:document>`,
+	});
+}
+
+test("markdown headings become sections and markup is dropped", () => {
+	const doc = importMarkdown(
+		"---\ntitle: x\n---\n# The Fox\n\nA *quick* [fox](http://x) jumps.[^1]\n\n```\ncode\n```\n\n## Later\n\n- one\n- two\n\n[^1]: A note."
+	);
+	assert.equal(doc.title, "The Fox");
+	assert.deepEqual(
+		doc.sections.map((s) => [s.title, s.level, s.text]),
+		[
+			["The Fox", 1, "The Fox\n\nA quick fox jumps."],
+			["Later", 2, "Later\n\none\n\ntwo"],
+		]
+	);
+	assert.equal(sectionText(doc, 0), "The Fox\n\nA quick fox jumps.\n\nLater\n\none\n\ntwo");
+});
+
+test("HTML reads the article without navigation or footnote marks", () => {
+	const doc = importHtml(
+		"<title>Page</title><nav>Menu</nav><article><h1>Title</h1><p>Some text<sup><a href='#n1'>1</a></sup>.</p>" +
+			"<aside>Ad</aside><p>More<br>text</p></article>"
+	);
+	assert.equal(doc.title, "Page");
+	assert.deepEqual(doc.sections, [{ title: "Title", level: 1, text: "Title\n\nSome text.\n\nMore text" }]);
+});
+
+test("footnote markers are removed, superscripts and numbered items are kept", () => {
+	const doc = importMarkdown("Water[1] is wet.² Area is x² and y³.\n\n[1] is the first item.");
+	assert.equal(doc.sections[0].text, "Water is wet. Area is x² and y³.\n\n[1] is the first item.");
+});
+
+test("DOCX headings come from styles and outline levels", async () => {
+	const doc = await importDocx(
+		docx(
+			'<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Chapter</w:t></w:r></w:p>' +
+				'<w:p><w:pPr><w:outlineLvl w:val="1"/></w:pPr><w:r><w:t>Part</w:t></w:r></w:p>' +
+				'<w:p><w:hyperlink><w:r><w:t>Linked</w:t></w:r></w:hyperlink><w:r><w:tab/><w:t>text</w:t></w:r>' +
+				"<w:del><w:r><w:delText>gone</w:delText></w:r></w:del></w:p>"
+		)
+	);
+	assert.equal(doc.title, "Chapter");
+	assert.deepEqual(
+		doc.sections.map((s) => [s.title, s.level, s.text]),
+		[
+			["Chapter", 1, "Chapter"],
+			["Part", 2, "Part\n\nLinked text"],
+		]
+	);
+});
+
+test("DOCX text box text is read once", async () => {
+	const doc = await importDocx(
+		docx(
+			"<w:p><w:r><w:t>Before</w:t></w:r><w:r><w:drawing><wps:txbx><w:txbxContent>" +
+				"<w:p><w:r><w:t>Boxed</w:t></w:r></w:p>" +
+				"</w:txbxContent></wps:txbx></w:drawing></w:r><w:r><w:t> after</w:t></w:r></w:p>"
+		),
+		"Doc"
+	);
+	assert.equal(doc.title, "Doc");
+	assert.equal(sectionText(doc, -1), "Before after\n\nBoxed");
+});
+
+test("a file that is not a ZIP is refused", async () => {
+	await assert.rejects(importDocx(new ArrayBuffer(40)), /Not a ZIP-based file/);
+});
@@ -0,0 +1,104 @@
+// Pronunciation lexicon: accepted spoken variants for names and domain words
+// the recognizer rarely transcribes as written ("Siobhan" heard as "shivon").
+// Entries apply to all passages or to one passage, keyed by its text hash.
+import { normalizeWord } from "./tokenize.js";
+
+const STORAGE_KEY = "lexicon";
+
+/**
+ * Stored lexicon: { all: entries, passages: { [textKey]: entries } } where
+ * entries maps a normalized text word to { spoken: [...], phonetic: [...] }.
+ */
+export function loadLexicon() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+		if (saved && typeof saved === "object") {
+			return {
+				all: parseLexiconEntries(saved.all || {}),
+				passages: Object.fromEntries(
+					Object.entries(saved.passages || {}).map(([key, entries]) => [key, parseLexiconEntries(entries)])
+				),
+			};
+		}
+	} catch (_) {}
+	return { all: {}, passages: {} };
+}
+
+export function saveLexicon(lexicon) {
+	localStorage.setItem(STORAGE_KEY, JSON.stringify(lexicon));
+}
+
+/**
+ * Entries in effect for a passage: the shared ones plus the passage's own.
+ */
+export function lexiconFor(lexicon, textKey) {
+	const merged = {};
+	for (const entries of [lexicon.all, textKey ? lexicon.passages[textKey] : null]) {
+		for (const [word, entry] of Object.entries(entries || {})) {
+			const prev = merged[word] || { spoken: [], phonetic: [] };
+			merged[word] = {
+				spoken: unique([...prev.spoken, ...entry.spoken]),
+				phonetic: unique([...prev.phonetic, ...entry.phonetic]),
+			};
+		}
+	}
+	return merged;
+}
+
+/**
+ * Accept `heard` as a reading of `word`, for one passage (textKey) or all.
+ * Returns false if there was nothing to add.
+ */
+export function addLexiconVariant(lexicon, word, heard, textKey = null) {
+	const key = normalizeWord(word);
+	const variant = normalizeSpoken(heard);
+	if (!key || !variant || variant === key) return false;
+	let entries = lexicon.all;
+	if (textKey) entries = lexicon.passages[textKey] || (lexicon.passages[textKey] = {});
+	const entry = entries[key] || (entries[key] = { spoken: [], phonetic: [] });
+	if (entry.spoken.includes(variant)) return false;
+	entry.spoken.push(variant);
+	return true;
+}
+
+/**
+ * Validate entries edited by hand. A value may be an object with `spoken`
+ * and `phonetic` lists or just the list of spoken variants. Throws with a
+ * readable message.
+ */
+export function parseLexiconEntries(entries) {
+	if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+		throw new Error("The lexicon must be an object mapping words to spoken variants");
+	}
+	const parsed = {};
+	for (const [word, value] of Object.entries(entries)) {
+		const key = normalizeWord(word);
+		if (!key) throw new Error(`Not a word: "${word}"`);
+		const entry = Array.isArray(value) ? { spoken: value } : value;
+		if (!entry || typeof entry !== "object") throw new Error(`No variants for "${word}"`);
+		const spoken = entry.spoken || [];
+		const phonetic = entry.phonetic || [];
+		if (!Array.isArray(spoken) || !Array.isArray(phonetic)) {
+			throw new Error(`"spoken" and "phonetic" for "${word}" must be lists`);
+		}
+		parsed[key] = {
+			spoken: unique(spoken.map(normalizeSpoken).filter(Boolean)),
+			phonetic: unique(phonetic.map((c) => String(c).trim().toUpperCase()).filter(Boolean)),
+		};
+	}
+	return parsed;
+}
+
+// Variants may be several words ("shiv on"); each is normalized
+function normalizeSpoken(text) {
+	return String(text || "")
+		.trim()
+		.split(/\s+/)
+		.map(normalizeWord)
+		.filter(Boolean)
+		.join(" ");
+}
+
+function unique(list) {
+	return [...new Set(list)];
+}
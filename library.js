@@ -0,0 +1,184 @@
+// Passage library: leveled passages kept in IndexedDB (see storage.js),
+// searched and filtered here, and shared between teachers as JSON bundles
+import { tokenize } from "./tokenize.js";
+import { hashText } from "./storage.js";
+
+const BUNDLE_FORMAT = "reading-practice-library";
+const BUNDLE_VERSION = 1;
+
+/**
+ * Library record for a passage. Tags may be a list or a comma-separated
+ * string; the title defaults to the start of the text.
+ */
+export function passageRecord({ id, title, source, level, tags, text, addedAt }) {
+	const body = String(text || "").trim();
+	const record = {
+		title: String(title || "").trim() || body.split("\n")[0].slice(0, 60),
+		source: String(source || "").trim(),
+		level: String(level ?? "").trim(),
+		tags: parseTags(tags),
+		text: body,
+		textKey: hashText(body), // same key as sessions of this text
+		wordCount: tokenize(body).filter((t) => t.isWord).length,
+		addedAt: Number.isFinite(addedAt) ? addedAt : Date.now(),
+	};
+	if (id != null) record.id = id;
+	return record;
+}
+
+function parseTags(tags) {
+	const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+	return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Passages matching every word of the query, in the title, source, tags or
+ * text, and the level if one is given. Title and tag matches rank first.
+ */
+export function searchPassages(passages, { query = "", level = "" } = {}) {
+	const terms = searchable(query).split(/\s+/).filter(Boolean);
+	return passages
+		.filter((p) => !level || p.level === level)
+		.map((p) => ({ p, score: matchScore(p, terms) }))
+		.filter(({ score }) => score > 0)
+		.sort((a, b) => b.score - a.score || a.p.title.localeCompare(b.p.title))
+		.map(({ p }) => p);
+}
+
+// Levels in use, in natural order ("2" before "10")
+export function passageLevels(passages) {
+	return [...new Set(passages.map((p) => p.level).filter(Boolean))].sort((a, b) =>
+		a.localeCompare(b, undefined, { numeric: true })
+	);
+}
+
+const indexed = new WeakMap(); // passage → searchable fields
+
+function matchScore(p, terms) {
+	if (terms.length === 0) return 1;
+	let fields = indexed.get(p);
+	if (!fields) {
+		fields = {
+			title: searchable(p.title),
+			tags: searchable(p.tags.join(" ")),
+			source: searchable(p.source),
+			text: searchable(p.text),
+		};
+		indexed.set(p, fields);
+	}
+	let score = 0;
+	for (const term of terms) {
+		if (fields.title.includes(term)) score += 3;
+		else if (fields.tags.includes(term)) score += 2;
+		else if (fields.source.includes(term) || fields.text.includes(term)) score += 1;
+		else return 0;
+	}
+	return score;
+}
+
+// Lower case without accents, so "cafe" finds "Café"
+function searchable(text) {
+	return String(text || "")
+		.toLowerCase()
+		.normalize("NFD")
+		.replace(/\p{M}/gu, "");
+}
+
+/**
+ * JSON bundle of passages for sharing; ids and dates stay with the library
+ * they came from.
+ */
+export function libraryBundle(passages) {
+	return JSON.stringify(
+		{
+			format: BUNDLE_FORMAT,
+			version: BUNDLE_VERSION,
+			exportedAt: new Date().toISOString(),
+			passages: passages.map(({ title, source, level, tags, text }) => ({ title, source, level, tags, text })),
+		},
+		null,
+		2
+	);
+}
+
+/**
+ * Passage records from a bundle. Throws with a readable message.
+ */
+export function parseLibraryBundle(json) {
+	let data;
+	try {
+		data = JSON.parse(json);
+	} catch (_) {
+		throw new Error("The file is not valid JSON");
+	}
+	if (!data || data.format !== BUNDLE_FORMAT || !Array.isArray(data.passages)) {
+		throw new Error("Not a passage library bundle");
+	}
+	if (data.version > BUNDLE_VERSION) throw new Error(`Unsupported library bundle version: ${data.version}`);
+	return data.passages
+		.filter((p) => p && typeof p.text === "string" && p.text.trim())
+		.map(({ title, source, level, tags, text }) => passageRecord({ title, source, level, tags, text }));
+}
+
+/**
+ * Render the library list for the #librarySearch query and #libraryLevel
+ * filter. sessionCounts maps passage id → sessions read from it.
+ */
+export function renderLibrary(passages, sessionCounts = new Map()) {
+	const levelSel = document.getElementById("libraryLevel");
+	if (levelSel) {
+		const current = levelSel.value;
+		levelSel.innerHTML = "";
+		for (const [value, label] of [["", "All levels"], ...passageLevels(passages).map((l) => [l, l])]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = label;
+			levelSel.appendChild(option);
+		}
+		levelSel.value = [...levelSel.options].some((o) => o.value === current) ? current : "";
+	}
+	const body = document.getElementById("libraryTableBody");
+	if (!body) return;
+	const found = searchPassages(passages, {
+		query: document.getElementById("librarySearch")?.value || "",
+		level: levelSel?.value || "",
+	});
+	body.innerHTML = "";
+	const frag = document.createDocumentFragment();
+	for (const p of found) {
+		const tr = document.createElement("tr");
+		const sessions = sessionCounts.get(p.id) || 0;
+		const cells = [p.title, p.level || "–", String(p.wordCount), p.tags.join(", ") || "–", String(sessions)];
+		for (const c of cells) {
+			const td = document.createElement("td");
+			td.textContent = c;
+			tr.appendChild(td);
+		}
+		tr.title = p.source ? `Source: ${p.source}` : "";
+		const td = document.createElement("td");
+		for (const [label, key] of [["Load", "loadId"], ["Delete", "deleteId"]]) {
+			const btn = document.createElement("button");
+			btn.textContent = label;
+			btn.dataset[key] = String(p.id);
+			td.appendChild(btn);
+		}
+		tr.appendChild(td);
+		frag.appendChild(tr);
+	}
+	body.appendChild(frag);
+	const status = document.getElementById("libraryCount");
+	if (status) status.textContent = `${found.length} of ${passages.length} passage${passages.length === 1 ? "" : "s"}`;
+}
+
+export function bindLibraryActions({ onFilter, onLoad, onDelete }) {
+	document.getElementById("librarySearch")?.addEventListener("input", () => onFilter());
+	document.getElementById("libraryLevel")?.addEventListener("change", () => onFilter());
+	const body = document.getElementById("libraryTableBody");
+	if (!body) return;
+	body.addEventListener("click", (e) => {
+		const t = e.target;
+		if (!(t instanceof HTMLElement)) return;
+		if (t.dataset.loadId != null) onLoad(Number(t.dataset.loadId));
+		else if (t.dataset.deleteId != null) onDelete(Number(t.dataset.deleteId));
+	});
+}
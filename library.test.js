@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { passageRecord, searchPassages, passageLevels, libraryBundle, parseLibraryBundle } from "./library.js";
+
+const passages = [
+	passageRecord({ id: 1, title: "The Café", level: "2", tags: "Food, town", text: "We had tea." }),
+	passageRecord({ id: 2, title: "Rivers", level: "10", tags: ["nature"], text: "A river runs to the sea near the café." }),
+	passageRecord({ id: 3, title: "Sea birds", source: "Nature Notes", level: "2", tags: "", text: "Gulls fly." }),
+];
+
+test("records take tags as a list or a string and count words", () => {
+	const p = passageRecord({ tags: " Food, food ,Town ", text: "\nFirst line here\nand more.\n" });
+	assert.deepEqual(p.tags, ["food", "town"]);
+	assert.equal(p.title, "First line here");
+	assert.equal(p.wordCount, 5);
+	assert.equal(p.text, "First line here\nand more.");
+});
+
+test("search matches every term, without accents, title and tags first", () => {
+	assert.deepEqual(searchPassages(passages, { query: "cafe" }).map((p) => p.id), [1, 2]);
+	assert.deepEqual(searchPassages(passages, { query: "sea" }).map((p) => p.id), [3, 2]);
+	assert.deepEqual(searchPassages(passages, { query: "nature" }).map((p) => p.id), [2, 3]);
+	assert.deepEqual(searchPassages(passages, { query: "sea gulls" }).map((p) => p.id), [3]);
+	assert.deepEqual(searchPassages(passages, { query: "sea", level: "10" }).map((p) => p.id), [2]);
+	assert.equal(searchPassages(passages).length, 3);
+});
+
+test("levels are listed in natural order", () => {
+	assert.deepEqual(passageLevels(passages), ["2", "10"]);
+});
+
+test("a bundle round-trips without ids or dates", () => {
+	const back = parseLibraryBundle(libraryBundle(passages));
+	assert.equal(back.length, 3);
+	const fields = (p) => [p.title, p.level, p.tags, p.text];
+	assert.deepEqual(back.map(fields), passages.map(fields));
+	assert.equal(back[0].id, undefined);
+	assert.equal(back[0].textKey, passages[0].textKey);
+});
+
+test("bad bundles are refused with a readable message", () => {
+	assert.throws(() => parseLibraryBundle("{"), /not valid JSON/);
+	assert.throws(() => parseLibraryBundle('{"passages": []}'), /Not a passage library bundle/);
+	const newer = JSON.stringify({ format: "reading-practice-library", version: 99, passages: [] });
+	assert.throws(() => parseLibraryBundle(newer), /Unsupported library bundle version: 99/);
+});
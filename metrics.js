@@ -1,30 +1,110 @@
 // Session metrics for M1
 
+// Count each status goes to
+const STATUS_COUNTS = {
+	correct: "correct",
+	incorrect: "incorrect",
+	skipped: "skipped",
+	selfcorrected: "selfCorrected",
+	told: "told",
+	unsure: "unsure",
+};
+
 export function computeMetrics(tokens, startedAtMs) {
-	const total = tokens.filter((t) => t.isWord).length;
-	let correct = 0,
-		incorrect = 0,
-		skipped = 0;
-	for (const t of tokens) {
-		if (!t.isWord) continue;
-		if (t.status === "correct") correct++;
-		else if (t.status === "incorrect") incorrect++;
-		else if (t.status === "skipped") skipped++;
+	return new MetricsTracker(tokens).current(startedAtMs);
+}
+
+/**
+ * Metrics kept up to date as words change, so a book-length text is not
+ * recounted on every mark. touch(idx) notes a changed word; the counts
+ * catch up with it when current() is next called.
+ */
+export class MetricsTracker {
+	constructor(tokens = []) {
+		this.reset(tokens);
+	}
+
+	// Count every word again, e.g. for a new text or after a reset
+	reset(tokens) {
+		this.tokens = tokens;
+		this.total = 0;
+		this.counts = {
+			correct: 0,
+			incorrect: 0,
+			skipped: 0,
+			selfCorrected: 0,
+			told: 0,
+			unsure: 0,
+			insertions: 0,
+			repetitions: 0,
+		};
+		this._counted = new Map(); // word index → what it adds to the counts
+		this._changed = new Set();
+		tokens.forEach((t, idx) => {
+			if (!t.isWord) return;
+			this.total++;
+			this._count(idx);
+		});
+	}
+
+	touch(idx) {
+		this._changed.add(idx);
+	}
+
+	current(startedAtMs) {
+		for (const idx of this._changed) {
+			const before = this._counted.get(idx);
+			if (before) this._add(before, -1);
+			this._counted.delete(idx);
+			this._count(idx);
+		}
+		this._changed.clear();
+		const { correct, incorrect, skipped, selfCorrected, told, unsure, insertions, repetitions } = this.counts;
+		const completed = correct + incorrect + skipped + selfCorrected + told + unsure;
+		// Self-corrections are not errors; insertions and told words are,
+		// repetitions and words the recognizer was unsure of are not
+		const errors = incorrect + skipped + told + insertions;
+		const now = Date.now();
+		const elapsedSec = startedAtMs ? (now - startedAtMs) / 1000 : 0;
+		const elapsedMin = elapsedSec / 60;
+		const wpm = elapsedMin > 0 ? (correct + selfCorrected) / elapsedMin : NaN;
+		const accuracy =
+			completed > 0 ? Math.max(0, completed - errors) / completed : NaN;
+		return {
+			total: this.total,
+			completed,
+			correct,
+			incorrect,
+			skipped,
+			selfCorrected,
+			told,
+			unsure,
+			insertions,
+			repetitions,
+			errors,
+			wpm,
+			accuracy,
+			elapsedSec,
+		};
+	}
+
+	_count(idx) {
+		const t = this.tokens[idx];
+		if (!t || !t.isWord) return;
+		const counted = { status: STATUS_COUNTS[t.status], insertions: 0, repetitions: 0 };
+		// Miscues in the gaps between words; inserted words count individually
+		for (const m of t.miscues || []) {
+			if (m.type === "insertion") counted.insertions += m.words.length;
+			else if (m.type === "repetition") counted.repetitions++;
+		}
+		if (!counted.status && !counted.insertions && !counted.repetitions) return;
+		this._counted.set(idx, counted);
+		this._add(counted, 1);
+	}
+
+	_add({ status, insertions, repetitions }, sign) {
+		if (status) this.counts[status] += sign;
+		this.counts.insertions += sign * insertions;
+		this.counts.repetitions += sign * repetitions;
 	}
-	const completed = correct + incorrect + skipped;
-	const now = Date.now();
-	const elapsedSec = startedAtMs ? (now - startedAtMs) / 1000 : 0;
-	const elapsedMin = elapsedSec / 60;
-	const wpm = elapsedMin > 0 ? correct / elapsedMin : NaN;
-	const accuracy = completed > 0 ? correct / completed : NaN;
-	return {
-		total,
-		completed,
-		correct,
-		incorrect,
-		skipped,
-		wpm,
-		accuracy,
-		elapsedSec,
-	};
 }
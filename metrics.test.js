@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize } from "./tokenize.js";
+import { MetricsTracker, computeMetrics } from "./metrics.js";
+
+function words(text) {
+	const tokens = tokenize(text);
+	return { tokens, idx: tokens.flatMap((t, i) => (t.isWord ? [i] : [])) };
+}
+
+test("statuses and miscues are counted", () => {
+	const { tokens, idx } = words("one two three four five");
+	tokens[idx[0]].status = "correct";
+	tokens[idx[1]].status = "incorrect";
+	tokens[idx[2]].status = "selfcorrected";
+	tokens[idx[3]].status = "unsure";
+	tokens[idx[3]].miscues = [{ type: "insertion", words: ["uh", "and"] }, { type: "repetition" }];
+	const m = computeMetrics(tokens);
+	assert.equal(m.total, 5);
+	assert.equal(m.completed, 4);
+	assert.equal(m.insertions, 2);
+	assert.equal(m.repetitions, 1);
+	// incorrect + two inserted words; self-corrections and unsure words are not errors
+	assert.equal(m.errors, 3);
+	assert.equal(m.accuracy, 1 / 4);
+	assert.ok(Number.isNaN(m.wpm));
+});
+
+test("touched words are recounted, others are not", () => {
+	const { tokens, idx } = words("one two three");
+	const tracker = new MetricsTracker(tokens);
+	assert.equal(tracker.current().completed, 0);
+	tokens[idx[0]].status = "correct";
+	tokens[idx[1]].status = "skipped";
+	// Not touched yet
+	assert.equal(tracker.current().completed, 0);
+	tracker.touch(idx[0]);
+	tracker.touch(idx[1]);
+	assert.deepEqual(
+		(({ completed, correct, skipped, errors }) => ({ completed, correct, skipped, errors }))(tracker.current()),
+		{ completed: 2, correct: 1, skipped: 1, errors: 1 }
+	);
+	tokens[idx[1]].status = "pending";
+	tracker.touch(idx[1]);
+	const m = tracker.current();
+	assert.equal(m.completed, 1);
+	assert.equal(m.skipped, 0);
+	assert.deepEqual(m, { ...computeMetrics(tokens), elapsedSec: m.elapsedSec });
+});
+
+test("words per minute count correct and self-corrected words", () => {
+	const { tokens, idx } = words("one two three");
+	tokens[idx[0]].status = "correct";
+	tokens[idx[1]].status = "selfcorrected";
+	const m = computeMetrics(tokens, Date.now() - 60000);
+	assert.ok(Math.abs(m.wpm - 2) < 0.01);
+});
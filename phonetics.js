@@ -0,0 +1,201 @@
+// Phonetic encoders per language, for fuzzy matching of heard words.
+//
+// An encoder maps a normalized word to [primary, secondary] codes (secondary
+// may be ""). English uses Double Metaphone; Spanish, Portuguese, French and
+// German use the rule-based encoders below. Other languages fall back to
+// Double Metaphone on the word without diacritics.
+//
+// double-metaphone is imported by path: this module also runs in the aligner
+// worker, and workers do not see the page's import map.
+import { doubleMetaphone } from "./node_modules/double-metaphone/index.js";
+
+const encoders = new Map();
+const MAX_CODE_LENGTH = 8;
+
+/**
+ * Register the phonetic encoder for a language ("en", "es", ...).
+ * @param {string} lang primary language subtag
+ * @param {(word: string) => [string, string]} encode
+ */
+export function registerPhoneticEncoder(lang, encode) {
+	encoders.set(lang.toLowerCase(), encode);
+}
+
+/**
+ * Encoder for a BCP 47 language tag such as "pt-BR". Codes are cached per
+ * language since the same words are encoded over and over during alignment.
+ */
+export function phoneticEncoder(lang = "en") {
+	const key = String(lang).split("-")[0].toLowerCase();
+	const encode = encoders.get(key) || ((word) => metaphone(foldDiacritics(word)));
+	const cache = new Map();
+	return (word) => {
+		let codes = cache.get(word);
+		if (!codes) {
+			try {
+				codes = word ? encode(word) : ["", ""];
+			} catch (_) {
+				codes = ["", ""];
+			}
+			cache.set(word, codes);
+		}
+		return codes;
+	};
+}
+
+const folded = new Map();
+
+/**
+ * Strip accents and expand ligatures: "está" → "esta", "straße" → "strasse".
+ */
+export function foldDiacritics(word) {
+	let f = folded.get(word);
+	if (f === undefined) {
+		f = word
+			.normalize("NFD")
+			.replace(/\p{M}/gu, "")
+			.replace(/ß/g, "ss")
+			.replace(/æ/g, "ae")
+			.replace(/œ/g, "oe")
+			.replace(/ø/g, "o")
+			.replace(/ł/g, "l");
+		folded.set(word, f);
+	}
+	return f;
+}
+
+function metaphone(word) {
+	const codes = doubleMetaphone(word);
+	return Array.isArray(codes) ? [codes[0] || "", codes[1] || ""] : ["", ""];
+}
+
+// Rules rewrite lower-case letters to upper-case sound codes in order, so a
+// letter consumed by an earlier rule is not matched again. Afterwards the
+// remaining vowels are dropped (a leading vowel becomes "A"), other letters
+// stand for themselves and repeated codes collapse.
+function applyRules(word, rules) {
+	let s = word;
+	for (const [re, rep] of rules) s = s.replace(re, rep);
+	let code = "";
+	for (let i = 0; i < s.length; i++) {
+		const ch = s[i];
+		let c;
+		if ("aeiouy".includes(ch)) c = i === 0 ? "A" : "";
+		else c = ch.toUpperCase();
+		if (c && !code.endsWith(c)) code += c;
+	}
+	return code.slice(0, MAX_CODE_LENGTH);
+}
+
+// Encoder from a rule list builder, called once for the primary rules and
+// once (with true) for the secondary ones
+function ruleEncoder(prepare, buildRules) {
+	const primary = buildRules(false);
+	const secondary = buildRules(true);
+	return (word) => {
+		const w = prepare(word.toLowerCase());
+		const a = applyRules(w, primary);
+		const b = applyRules(w, secondary);
+		return [a, b === a ? "" : b];
+	};
+}
+
+// Spanish; the secondary code keeps the Castilian "th" sound of c/z
+const spanish = ruleEncoder(
+	(w) => foldDiacritics(w.replace(/ñ/g, "NY").replace(/gü/g, "GW")),
+	(castilian) => [
+		[/ch/g, "X"],
+		[/ll/g, "Y"],
+		[/y(?=[aeiou])/g, "Y"],
+		[/qu(?=[ei])/g, "K"],
+		[/gu(?=[ei])/g, "G"],
+		[/c(?=[ei])/g, castilian ? "0" : "S"],
+		[/z/g, castilian ? "0" : "S"],
+		[/g(?=[ei])/g, "H"],
+		[/j/g, "H"],
+		[/h/g, ""],
+		[/[ckq]/g, "K"],
+		[/x/g, "KS"],
+		[/v/g, "B"],
+	]
+);
+
+// Portuguese; the primary code follows Brazilian "r", the secondary European
+const portuguese = ruleEncoder(
+	(w) => foldDiacritics(w.replace(/ç/g, "S").replace(/nh/g, "NY").replace(/lh/g, "LY")),
+	(european) => [
+		[/ch/g, "X"],
+		[/qu(?=[ei])/g, "K"],
+		[/gu(?=[ei])/g, "G"],
+		[/c(?=[ei])/g, "S"],
+		[/g(?=[ei])/g, "J"],
+		[/ss/g, "S"],
+		[/(?<=[aeiou])s(?=[aeiou])/g, "Z"],
+		[/[sz]$/, "S"],
+		[/x/g, european ? "KS" : "X"],
+		[/^r|rr/g, european ? "R" : "H"],
+		[/h/g, ""],
+		[/[ckq]/g, "K"],
+		[/w/g, "V"],
+		[/y/g, "i"],
+	]
+);
+
+// French; many final consonants are silent. The secondary code keeps them.
+const french = ruleEncoder(
+	(w) => foldDiacritics(w.replace(/ç/g, "S")),
+	(spelled) => [
+		[/sch|ch/g, "X"],
+		[/ph/g, "F"],
+		[/th/g, "T"],
+		[/gn/g, "NY"],
+		[/qu/g, "K"],
+		[/gu(?=[eiy])/g, "G"],
+		[/(?<=[aeiou])ill/g, "Y"],
+		[/(?<=[aeiou])il$/, "Y"],
+		...(spelled ? [] : [[/(?:e?s|[tdxzp]s?)$/, ""], [/(?<=\w{3})er$/, "e"], [/e$/, ""]]),
+		[/g(?=[eiy])/g, "J"],
+		[/c(?=[eiy])/g, "S"],
+		[/[ckq]/g, "K"],
+		[/(?<=[aeiouy])s(?=[aeiouy])/g, "Z"],
+		[/h/g, ""],
+		[/x/g, "KS"],
+		[/w/g, "V"],
+	]
+);
+
+// German; the primary code devoices final b/d/g and reads "ch" as in "ich",
+// the secondary reads "ch" as K ("Chor") and "v" as V ("Vase")
+const german = ruleEncoder(
+	(w) => foldDiacritics(w),
+	(alt) => [
+		[/sch/g, "X"],
+		[/^s(?=[pt])/, "X"],
+		[/chs/g, "KS"],
+		[/ch/g, alt ? "K" : "H"],
+		[/ck/g, "K"],
+		[/ph|pf/g, "F"],
+		[/th|dt/g, "T"],
+		[/qu/g, "KV"],
+		[/tz|z/g, "TS"],
+		[/c(?=[eiy])/g, "TS"],
+		[/c/g, "K"],
+		[/v/g, alt ? "V" : "F"],
+		[/w/g, "V"],
+		[/j/g, "Y"],
+		[/^s(?=[aeiouy])/, "Z"],
+		[/(?<=[aeiouy])s(?=[aeiouy])/g, "Z"],
+		[/ig$/, "iH"],
+		[/d$/, "T"],
+		[/b$/, "P"],
+		[/g$/, "K"],
+		[/(?<=[aeiouy])h/g, ""],
+		[/x/g, "KS"],
+	]
+);
+
+registerPhoneticEncoder("en", metaphone);
+registerPhoneticEncoder("es", spanish);
+registerPhoneticEncoder("pt", portuguese);
+registerPhoneticEncoder("fr", french);
+registerPhoneticEncoder("de", german);
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { phoneticEncoder, foldDiacritics } from "./phonetics.js";
+import { normalizeWord } from "./tokenize.js";
+
+function codes(lang, word) {
+	return phoneticEncoder(lang)(normalizeWord(word));
+}
+
+test("accents and ligatures are folded", () => {
+	assert.equal(foldDiacritics("está"), "esta");
+	assert.equal(foldDiacritics("straße"), "strasse");
+	assert.equal(foldDiacritics("cœur"), "coeur");
+});
+
+test("Spanish reads ñ as ny and keeps the Castilian c/z as a secondary code", () => {
+	assert.deepEqual(codes("es", "niño"), ["NY", ""]);
+	assert.notDeepEqual(codes("es", "niño"), codes("es", "nino"));
+	assert.deepEqual(codes("es", "llave"), codes("es", "yave"));
+	assert.deepEqual(codes("es", "jamón"), ["HMN", ""]);
+	assert.deepEqual(codes("es", "caza"), ["KS", "K0"]);
+});
+
+test("Portuguese reads ç as s and nh and lh as palatals", () => {
+	assert.deepEqual(codes("pt", "ação"), codes("pt", "assao"));
+	assert.deepEqual(codes("pt", "São"), codes("pt", "sao"));
+	assert.deepEqual(codes("pt", "filho"), ["FLY", ""]);
+	assert.deepEqual(codes("pt", "senhor"), ["SNYR", ""]);
+	assert.deepEqual(codes("pt", "casa"), codes("pt", "caza"));
+	assert.deepEqual(codes("pt", "rato"), ["HT", "RT"]);
+});
+
+test("German folds ß and devoices final consonants", () => {
+	assert.deepEqual(codes("de", "Straße"), codes("de", "strasse"));
+	assert.deepEqual(codes("de", "Straße"), ["XTRS", ""]);
+	assert.deepEqual(codes("de", "Bad"), codes("de", "bat"));
+	assert.deepEqual(codes("de", "ich"), ["AH", "AK"]);
+	assert.deepEqual(codes("de", "Zeit"), codes("de", "tseit"));
+});
+
+test("French drops silent final consonants in the primary code only", () => {
+	assert.deepEqual(codes("fr", "chat"), ["X", "XT"]);
+	assert.deepEqual(codes("fr", "garçon"), codes("fr", "garson"));
+	assert.deepEqual(codes("fr", "parler")[0], codes("fr", "parle")[0]);
+});
+
+test("other languages use Double Metaphone without accents", () => {
+	assert.deepEqual(codes("en", "knight"), codes("en", "night"));
+	assert.deepEqual(codes("it", "perché"), codes("it", "perche"));
+});
@@ -0,0 +1,121 @@
+// Timed oral reading fluency probe: WCPM and grade-level norms
+
+export const DEFAULT_PROBE_SECONDS = 60;
+export const PERCENTILES = [90, 75, 50, 25, 10];
+
+// Oral reading fluency norms (WCPM by percentile) after Hasbrouck & Tindal (2017).
+// Editable in the UI; check against the published table or your district's norms.
+export const DEFAULT_NORMS = [
+	{ grade: 1, season: "winter", wcpm: [97, 59, 29, 16, 9] },
+	{ grade: 1, season: "spring", wcpm: [116, 91, 60, 34, 18] },
+	{ grade: 2, season: "fall", wcpm: [111, 84, 50, 36, 23] },
+	{ grade: 2, season: "winter", wcpm: [131, 109, 84, 59, 35] },
+	{ grade: 2, season: "spring", wcpm: [148, 124, 100, 72, 43] },
+	{ grade: 3, season: "fall", wcpm: [134, 104, 83, 59, 40] },
+	{ grade: 3, season: "winter", wcpm: [161, 137, 97, 79, 62] },
+	{ grade: 3, season: "spring", wcpm: [166, 139, 112, 91, 63] },
+	{ grade: 4, season: "fall", wcpm: [153, 125, 94, 75, 60] },
+	{ grade: 4, season: "winter", wcpm: [168, 143, 120, 95, 71] },
+	{ grade: 4, season: "spring", wcpm: [184, 160, 133, 105, 83] },
+	{ grade: 5, season: "fall", wcpm: [179, 153, 121, 87, 64] },
+	{ grade: 5, season: "winter", wcpm: [183, 160, 133, 109, 84] },
+	{ grade: 5, season: "spring", wcpm: [195, 169, 146, 119, 94] },
+	{ grade: 6, season: "fall", wcpm: [185, 159, 132, 112, 89] },
+	{ grade: 6, season: "winter", wcpm: [195, 166, 145, 116, 91] },
+	{ grade: 6, season: "spring", wcpm: [204, 173, 146, 122, 91] },
+];
+
+export function loadNorms() {
+	try {
+		const saved = JSON.parse(localStorage.getItem("fluencyNorms") || "null");
+		if (Array.isArray(saved) && saved.every(isValidNormRow)) return saved;
+	} catch (_) {}
+	return DEFAULT_NORMS.map((r) => ({ ...r, wcpm: [...r.wcpm] }));
+}
+
+export function saveNorms(norms) {
+	if (!Array.isArray(norms) || !norms.every(isValidNormRow)) {
+		throw new Error("Each norm row needs grade, season and five WCPM values (90th to 10th percentile)");
+	}
+	localStorage.setItem("fluencyNorms", JSON.stringify(norms));
+}
+
+export function resetNorms() {
+	localStorage.removeItem("fluencyNorms");
+	return loadNorms();
+}
+
+function isValidNormRow(r) {
+	return (
+		r &&
+		r.grade != null &&
+		typeof r.season === "string" &&
+		Array.isArray(r.wcpm) &&
+		r.wcpm.length === PERCENTILES.length &&
+		r.wcpm.every((v) => Number.isFinite(v))
+	);
+}
+
+/**
+ * Score a probe. The last attempted word is the furthest word with a status;
+ * every word up to it counts as attempted, and skipped, incorrect and told
+ * words are errors. Self-corrections count as correct.
+ */
+export function computeProbeResult(tokens, durationSec) {
+	let lastAttemptedIndex = -1;
+	for (let i = tokens.length - 1; i >= 0; i--) {
+		if (tokens[i].isWord && tokens[i].status !== "pending") {
+			lastAttemptedIndex = i;
+			break;
+		}
+	}
+	let attempted = 0;
+	let errors = 0;
+	for (let i = 0; i <= lastAttemptedIndex; i++) {
+		const t = tokens[i];
+		if (!t.isWord) continue;
+		attempted++;
+		// Words the recognizer was unsure of are not held against the reader
+		if (t.status !== "correct" && t.status !== "selfcorrected" && t.status !== "unsure") errors++;
+	}
+	const minutes = durationSec / 60;
+	return {
+		durationSec,
+		attempted,
+		errors,
+		lastAttemptedIndex,
+		wcpm: minutes > 0 ? (attempted - errors) / minutes : NaN,
+	};
+}
+
+/**
+ * Place a WCPM score in the norms for a grade and season.
+ * Returns null when no row matches; otherwise an approximate percentile
+ * (linear between table points) and a readable band.
+ */
+export function compareToNorms(wcpm, norms, grade, season) {
+	const row = norms.find((r) => String(r.grade) === String(grade) && r.season === season);
+	if (!row || !isFinite(wcpm)) return null;
+	const pts = PERCENTILES.map((p, i) => ({ p, v: row.wcpm[i] }));
+	let percentile;
+	let band;
+	if (wcpm >= pts[0].v) {
+		percentile = pts[0].p;
+		band = `at or above the ${pts[0].p}th percentile`;
+	} else if (wcpm < pts[pts.length - 1].v) {
+		percentile = pts[pts.length - 1].p;
+		band = `below the ${pts[pts.length - 1].p}th percentile`;
+	} else {
+		for (let i = 0; i < pts.length - 1; i++) {
+			const hi = pts[i];
+			const lo = pts[i + 1];
+			if (wcpm >= lo.v) {
+				const frac = hi.v > lo.v ? (wcpm - lo.v) / (hi.v - lo.v) : 0;
+				percentile = Math.round(lo.p + frac * (hi.p - lo.p));
+				band = `between the ${lo.p}th and ${hi.p}th percentile`;
+				break;
+			}
+		}
+	}
+	return { percentile, band, median: row.wcpm[PERCENTILES.indexOf(50)] };
+}
@@ -0,0 +1,212 @@
+// Readability of a passage from its tokens and sentences: syllables, words
+// per sentence, Flesch-Kincaid grade and the share of rare words, for the
+// whole text and for each sentence.
+//
+// The grade formula and the word list are for English; other languages get
+// the counts only.
+import { foldDiacritics } from "./phonetics.js";
+
+const MAX_LISTED_RARE = 20; // rare words named in the summary tooltip
+
+// About the 1,000 most frequent English words, as base forms. Inflected forms
+// are found by stripping suffixes (see isCommon).
+const COMMON_WORDS = new Set(
+	`a able about above across act add afraid after afternoon again against age ago agree ahead air all allow almost
+	alone along already also always am among an and anger animal another answer any anyone anything appear apple are
+	area arm army around arrive art as ask at attack aunt autumn away baby back bad bag ball bank base basket bath be
+	bear beat beautiful because become bed bee before begin behind believe bell belong below beside best better between
+	big bird birthday bit bite black blood blow blue board boat body bone book born both bottom bowl box boy brain
+	branch brave bread break breakfast bright bring broad brother brown build burn bus busy but butter buy by cake call
+	came camp can cannot cap capital captain car card care careful carry case cat catch cause cell cent center centre
+	certain chair chance change character charge chart check chick chief child children choose church circle city
+	class clean clear climb clock close cloth clothes cloud coast coat cold collect colony color colour column come
+	common company compare complete condition consider consonant contain continent continue control cook cool copy
+	corn corner correct cost cotton could count country course cousin cover cow create crop cross crowd cry
+	cup current cut dad dance danger dark day dead deal dear death decide decimal deep degree depend describe desert
+	design desk determine develop dictionary did die differ different difficult dinner direct direction discuss
+	distant divide division do doctor does dog dollar done door double down draw dream dress drink drive drop dry duck
+	during each ear early earth ease east eat edge effect egg eight either electric element else end enemy energy
+	engine enough enter equal especially even evening event ever every everyone everything exact example except
+	excite exercise expect experience experiment explain eye face fact fair fall family famous far farm fast fat father
+	favorite favourite fear feed feel feet fell felt few field fight figure fill final find fine finger finish fire
+	first fish fit five flat floor flow flower fly follow food foot for force forest forget form forward found four
+	fraction free fresh friend from front fruit full fun funny game garden gas gather gave general gentle get giant
+	gift girl give glad glass go gold gone good got govern grand grandfather grandmother grass gray great green grew
+	grey ground group grow guess guide gun had hair half hand happen happy hard has hat have he head hear heard heart
+	heat heavy held hello help her here high hill him his history hit hold hole home hope horse hot hotel hour house
+	how huge human hundred hunt hurry hurt husband i ice idea if imagine important in inch include indicate industry
+	insect inside instead instrument interest into invent iron is island it its job join joy jump just keep kept key
+	kill kind king kitchen knew knock know lady lake land language large last late laugh law lay lead learn least
+	leave led left leg length less let letter level lie life lift light like line liquid list listen little live long
+	look lose lost lot loud love low lunch machine made magnet main major make man many map mark market mass master
+	match material matter may me mean measure meat meet melody men metal method middle might mile milk million mind
+	mine minute miss mix modern moment money month moon more morning most mother motion mountain mouse mouth
+	move much mum music must my name nation natural nature near necessary neck need neighbor neighbour never new news
+	next nice night nine no noise none noon nor north nose not note nothing notice noun now number numeral object
+	observe occur ocean of off offer office often oh oil ok okay old on once one only open operate opposite or order
+	organ original other our out outside over own oxygen page paint pair paper paragraph parent park part particular
+	party pass past path pattern pay people perhaps period person phrase pick picture piece pig pink pitch place plain
+	plan plane planet plant play please plural poem point pole poor port position possible post pot
+	pound power practice practise prepare present press pretty print probable problem process produce product proper
+	property protect prove provide pull push put question quick quiet quite race radio rail rain raise
+	ran range rather reach read ready real reason receive record red region remember repeat reply represent require
+	rest result rich ride right ring rise river road rock roll room root rope rose round row rub rule run safe said
+	sail salt same sand sat save saw say scale school science score sea search season seat second section see seed
+	seem segment select self sell send sense sentence separate serve set settle seven several shall shape share sharp
+	she sheet shell shine ship shoe shop shore short should shoulder shout show side sight sign silent silver similar
+	simple since sing single sister sit six size skill skin sky sleep slip slow small smell smile snow so soft soil
+	soldier solution solve some someone something sometimes son song soon sorry sound south space speak special speech
+	speed spell spend spoke spot spread spring square stand star start state station stay steam steel step stick
+	still stone stood stop store story straight strange stream street stretch string strong student study subject
+	substance subtract success such sudden suffix sugar suggest suit summer sun supply support sure surface surprise
+	swim syllable symbol system table tail take talk tall teach teacher team teeth tell temperature ten term test than
+	thank that the their them then there these they thick thin thing think third this those though thought thousand
+	three through throw thus tie time tiny tire tired to today together told tomorrow tone too took tool top total
+	touch toward towards town toy track trade train travel tree triangle trip trouble truck true try tube turn twenty
+	two type uncle under understand unit until up upon us use usual valley value vary verb very view village visit
+	voice vowel wait walk wall want war warm was wash watch water wave way we wear weather week weight well went were
+	west what wheel when where whether which while white who whole whose why wide wife wild will win wind window wing
+	winter wire wish with without woman women won wonder wood word wore work world worry would write written wrong
+	wrote yard year yellow yes yesterday yet you young your yourself zero
+	ate been began begun blew bought brought built caught chose did dug drank drew driven drove eaten fed fought flew
+	forgot froze gotten grown hid hung knelt known laid lain lit meant met paid rang rode rung sang sank seen sent
+	shook shot shown shut slept sold sought spent stole struck stuck sung swam swept taken taught thrown understood
+	woke worn wound
+	me myself him himself herself itself ourselves themselves mine yours hers ours theirs anybody everybody nobody
+	somebody anywhere everywhere nowhere somewhere maybe onto mr mrs ms sir hey yeah mom phone computer television
+	dont doesnt didnt isnt arent wasnt werent cant couldnt wont wouldnt shouldnt hasnt havent hadnt im ive id ill
+	youre youve youd youll hes shes its were weve wed well theyre theyve theyd theyll thats theres whats lets`.split(
+		/\s+/
+	)
+);
+
+// Suffixes stripped, in turn, to find the base form of an inflected word
+const SUFFIXES = [
+	[/ies$/, "y"],
+	[/ied$/, "y"],
+	[/ier$/, "y"],
+	[/iest$/, "y"],
+	[/ily$/, "y"],
+	[/(.)\1(?:ing|ed|er|est)$/, "$1"], // running, stopped, bigger
+	[/(?:ing|ed|er|est)$/, "e"], // making, liked, later
+	[/(?:ing|ed|er|est|ly|ness|ful|s|es|d|r|st)$/, ""],
+];
+
+function isCommon(word) {
+	if (COMMON_WORDS.has(word)) return true;
+	for (const [re, rep] of SUFFIXES) {
+		if (!re.test(word)) continue;
+		const base = word.replace(re, rep);
+		if (base.length >= 2 && COMMON_WORDS.has(base)) return true;
+	}
+	return false;
+}
+
+const englishTag = (lang) => String(lang).split("-")[0].toLowerCase() === "en";
+
+/**
+ * Syllables in a word. English drops silent final "e", "es" and "ed" before
+ * counting vowel groups; other languages count vowel groups.
+ */
+export function countSyllables(word, lang = "en") {
+	let w = foldDiacritics(String(word).toLowerCase()).replace(/[^a-z]/g, "");
+	if (!w) return 0;
+	if (!englishTag(lang)) return Math.max(1, (w.match(/[aeiouy]+/g) || []).length);
+	if (w.length <= 3) return 1;
+	w = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+	return Math.max(1, (w.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+// Flesch-Kincaid grade level, never below 0
+function fleschKincaid(words, sentences, syllables) {
+	if (!words || !sentences) return NaN;
+	return Math.max(0, 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59);
+}
+
+/**
+ * Readability of tokenized text split into `sentences` (see computeSentences).
+ * Numbers and symbols count as the words they are read aloud as ("$3.50" is
+ * "three dollars fifty cents"); contractions and abbreviations count as one
+ * word. None of these are rare; names (capitalized inside a sentence) are
+ * not rare either.
+ * Returns totals plus one entry per sentence: { id, words, syllables,
+ * rareWords, grade }. grade and rareRatio are NaN for languages other than
+ * English.
+ */
+export function analyzeReadability(tokens, sentences, lang = "en") {
+	const english = englishTag(lang);
+	const rare = new Set();
+	const perSentence = sentences.map((s) => {
+		let words = 0;
+		let syllables = 0;
+		let rareWords = 0;
+		for (let i = s.startIndex; i <= s.endIndex; i++) {
+			const t = tokens[i];
+			if (!t?.isWord) continue;
+			if (t.readings) {
+				// A contraction is one word as written, an abbreviation one
+				// word as read ("Dr" is "doctor")
+				const read = t.contraction ? [t.norm] : t.readings[0];
+				words += t.contraction || t.abbreviation ? 1 : read.length;
+				syllables += read.reduce((n, w) => n + countSyllables(w, lang), 0);
+				continue;
+			}
+			words++;
+			syllables += countSyllables(t.norm, lang);
+			const name = i !== s.startIndex && /^\p{Lu}/u.test(t.text);
+			if (english && !name && !isCommon(t.norm)) {
+				rareWords++;
+				rare.add(t.norm);
+			}
+		}
+		return {
+			id: s.id,
+			words,
+			syllables,
+			rareWords,
+			grade: english ? fleschKincaid(words, 1, syllables) : NaN,
+		};
+	});
+	const sum = (key) => perSentence.reduce((n, s) => n + s[key], 0);
+	const words = sum("words");
+	const syllables = sum("syllables");
+	const rareWords = sum("rareWords");
+	const count = perSentence.filter((s) => s.words > 0).length;
+	return {
+		words,
+		sentences: count,
+		syllables,
+		wordsPerSentence: count ? words / count : NaN,
+		syllablesPerWord: words ? syllables / words : NaN,
+		grade: english ? fleschKincaid(words, count, syllables) : NaN,
+		rareWords,
+		rareRatio: english && words ? rareWords / words : NaN,
+		rareList: [...rare],
+		perSentence,
+	};
+}
+
+const fmt = (v, digits) => (isFinite(v) ? v.toFixed(digits) : "–");
+
+// One-line summary for #readability; the rare words are in its tooltip
+export function renderReadability(analysis) {
+	const el = document.getElementById("readability");
+	if (!el) return;
+	if (!analysis || !analysis.words) {
+		el.textContent = "";
+		el.title = "";
+		return;
+	}
+	const a = analysis;
+	const parts = [
+		`${a.words} words`,
+		`${a.sentences} sentence${a.sentences === 1 ? "" : "s"}`,
+		`${fmt(a.wordsPerSentence, 1)} words/sentence`,
+		`${fmt(a.syllablesPerWord, 2)} syllables/word`,
+	];
+	if (isFinite(a.grade)) parts.push(`Grade ${fmt(a.grade, 1)}`);
+	if (isFinite(a.rareRatio)) parts.push(`${Math.round(a.rareRatio * 100)}% rare words`);
+	el.textContent = parts.join(" · ");
+	const listed = a.rareList.slice(0, MAX_LISTED_RARE);
+	el.title = listed.length ? `Rare words: ${listed.join(", ")}${a.rareList.length > listed.length ? ", …" : ""}` : "";
+}
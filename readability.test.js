@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, computeSentences } from "./tokenize.js";
+import { analyzeReadability, countSyllables } from "./readability.js";
+
+function analyze(text, lang = "en") {
+	const tokens = tokenize(text, { lang });
+	return analyzeReadability(tokens, computeSentences(tokens), lang);
+}
+
+test("contractions and abbreviations count as one word, amounts as the words read", () => {
+	const a = analyze("Dr Smith said they don't pay $3.50.");
+	// Dr, Smith, said, they, don't, pay + "three dollars fifty cents"
+	assert.equal(a.words, 10);
+	// doctor 2, dont 1, three dollars fifty cents 6, the rest 1 each
+	assert.equal(a.syllables, 13);
+	assert.equal(a.rareWords, 0);
+});
+
+test("the tokenizer flags contractions and abbreviations", () => {
+	const words = tokenize("Dr Smith don't pay $3.50").filter((t) => t.isWord);
+	assert.equal(words[0].abbreviation, true);
+	assert.equal(words[2].contraction, true);
+	assert.equal(words[4].contraction, undefined);
+	assert.equal(words[4].abbreviation, undefined);
+	assert.equal(tokenize("Sr. García", { lang: "es" })[0].abbreviation, true);
+});
+
+test("rare words are listed, names are not rare", () => {
+	const a = analyze("The cat saw Peter. The cat saw a quokka.");
+	assert.equal(a.sentences, 2);
+	assert.deepEqual(a.rareList, ["quokka"]);
+	assert.equal(a.perSentence[0].rareWords, 0);
+});
+
+test("syllables drop a silent final e in English", () => {
+	assert.equal(countSyllables("cake"), 1);
+	assert.equal(countSyllables("reading"), 2);
+	assert.equal(countSyllables("casa", "es"), 2);
+});
+
+test("languages other than English get counts but no grade", () => {
+	const a = analyze("El Sr. García tiene 3 perros.", "es");
+	// El, Sr, García, tiene, tres, perros
+	assert.equal(a.words, 6);
+	assert.ok(Number.isNaN(a.grade));
+	assert.ok(Number.isNaN(a.rareRatio));
+});
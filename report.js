@@ -0,0 +1,262 @@
+// Session report building and export (JSON, CSV, printable HTML)
+
+/**
+ * Build a full report for the current session.
+ * Words carry the final status plus the expected/heard details the aligner
+ * recorded; sentences come from computeSentences with per-sentence counts.
+ */
+export function buildReport({ tokens, sentences, metrics, timing, reader, passagePreview, readability }) {
+	const sentenceOf = new Map();
+	for (const s of sentences) {
+		for (let i = s.startIndex; i <= s.endIndex; i++) sentenceOf.set(i, s.id);
+	}
+	const words = [];
+	for (let i = 0; i < tokens.length; i++) {
+		const t = tokens[i];
+		if (!t.isWord) continue;
+		words.push({
+			index: i,
+			wordNumber: words.length + 1,
+			text: t.text,
+			expected: t.norm,
+			heard: t.heard || "",
+			attempt: t.attempt || "",
+			status: t.status,
+			miscues: t.miscues || [],
+			detail: t.title || "",
+			note: t.note || "",
+			readAt: Number.isFinite(t.readAt) ? new Date(t.readAt).toISOString() : null,
+			latencyMs: timing?.latencies.get(i) ?? null,
+			hesitation: !!timing?.hesitations.includes(i),
+			sentence: sentenceOf.has(i) ? sentenceOf.get(i) : null,
+		});
+	}
+	return {
+		generatedAt: new Date().toISOString(),
+		reader: reader || "",
+		passage: passagePreview || "",
+		summary: {
+			total: metrics.total,
+			completed: metrics.completed,
+			correct: metrics.correct,
+			incorrect: metrics.incorrect,
+			skipped: metrics.skipped,
+			selfCorrected: metrics.selfCorrected,
+			told: metrics.told,
+			insertions: metrics.insertions,
+			repetitions: metrics.repetitions,
+			accuracy: metrics.accuracy,
+			wpm: metrics.wpm,
+			elapsedSec: metrics.elapsedSec,
+			meanLatencyMs: timing ? timing.meanLatencyMs : NaN,
+			hesitations: timing ? timing.hesitations.length : 0,
+			// Passage difficulty, to read the accuracy against
+			grade: readability ? readability.grade : NaN,
+			wordsPerSentence: readability ? readability.wordsPerSentence : NaN,
+			syllablesPerWord: readability ? readability.syllablesPerWord : NaN,
+			rareWordRatio: readability ? readability.rareRatio : NaN,
+		},
+		words,
+		sentences: sentences.map((s) => ({
+			...sentenceSummary(s, words),
+			wpm: timing?.sentenceRates.find((r) => r.id === s.id)?.wpm ?? NaN,
+			grade: readability?.perSentence[s.id]?.grade ?? NaN,
+		})),
+	};
+}
+
+function sentenceSummary(s, words) {
+	const inSentence = words.filter((w) => w.sentence === s.id);
+	const count = (status) => inSentence.filter((w) => w.status === status).length;
+	const correct = count("correct");
+	const incorrect = count("incorrect");
+	const skipped = count("skipped");
+	const selfCorrected = count("selfcorrected");
+	const told = count("told");
+	const unsure = count("unsure");
+	const completed = correct + incorrect + skipped + selfCorrected + told + unsure;
+	return {
+		id: s.id,
+		startIndex: s.startIndex,
+		endIndex: s.endIndex,
+		text: inSentence.map((w) => w.text).join(" "),
+		total: inSentence.length,
+		correct,
+		incorrect,
+		skipped,
+		selfCorrected,
+		told,
+		// Words the recognizer was unsure of are not errors
+		accuracy: completed > 0 ? (correct + selfCorrected + unsure) / completed : NaN,
+	};
+}
+
+export function reportToJSON(report) {
+	// NaN metrics serialize as null
+	return JSON.stringify(report, null, 2);
+}
+
+function csvCell(v) {
+	if (v == null || (typeof v === "number" && !isFinite(v))) return "";
+	const s = String(v);
+	return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRows(rows) {
+	return rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+}
+
+// Summary, words and sentences as consecutive tables separated by blank lines
+export function reportToCSV(report) {
+	const summary = [
+		["Field", "Value"],
+		["Generated", report.generatedAt],
+		["Reader", report.reader],
+		["Passage", report.passage],
+		...Object.entries(report.summary).map(([k, v]) => [k, v]),
+	];
+	const words = [
+		["Word", "Text", "Expected", "Heard", "Attempt", "Status", "Miscues before", "Sentence", "Read at", "Latency (ms)", "Hesitation", "Detail", "Note"],
+		...report.words.map((w) => [
+			w.wordNumber,
+			w.text,
+			w.expected,
+			w.heard,
+			w.attempt,
+			w.status,
+			w.miscues.map((m) => `${m.type}: ${m.words.join(" ")}`).join("; "),
+			w.sentence != null ? w.sentence + 1 : "",
+			w.readAt,
+			w.latencyMs != null ? Math.round(w.latencyMs) : "",
+			w.hesitation ? "yes" : "",
+			w.detail.replace(/\n/g, "; "),
+			w.note,
+		]),
+	];
+	const sentences = [
+		["Sentence", "Text", "Words", "Correct", "Incorrect", "Skipped", "Self-corrected", "Accuracy", "WPM", "Grade"],
+		...report.sentences.map((s) => [
+			s.id + 1,
+			s.text,
+			s.total,
+			s.correct,
+			s.incorrect,
+			s.skipped,
+			s.selfCorrected,
+			s.accuracy,
+			isFinite(s.wpm) ? Math.round(s.wpm) : "",
+			isFinite(s.grade) ? s.grade.toFixed(1) : "",
+		]),
+	];
+	return [csvRows(summary), csvRows(words), csvRows(sentences)].join("\r\n\r\n") + "\r\n";
+}
+
+export function escapeHtml(s) {
+	return String(s ?? "").replace(
+		/[&<>"']/g,
+		(c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+	);
+}
+
+const fmtPct = (v) => (isFinite(v) ? `${(v * 100).toFixed(0)}%` : "–");
+const fmtNum = (v) => (isFinite(v) ? v.toFixed(0) : "–");
+const fmtGrade = (v) => (isFinite(v) ? v.toFixed(1) : "–");
+
+// Standalone page with light, print-friendly styling
+export function reportToHTML(report) {
+	const s = report.summary;
+	const mark = (m) =>
+		`<span class="miscue">${m.type === "repetition" ? "R" : `^${escapeHtml(m.words.join(" "))}`}</span>`;
+	const passage = report.words
+		.map((w) => {
+			const before = w.miscues.filter((m) => m.where !== "after").map(mark).join("");
+			const after = w.miscues.filter((m) => m.where === "after").map(mark).join("");
+			return `${before}<span class="w ${escapeHtml(w.status)}" title="${escapeHtml(w.note ? `${w.detail}\nNote: ${w.note}` : w.detail)}">${escapeHtml(w.text)}</span>${after}`;
+		})
+		.join(" ");
+	const sentenceRows = report.sentences
+		.map(
+			(x) =>
+				`<tr><td>${x.id + 1}</td><td>${escapeHtml(x.text)}</td><td>${x.correct + x.selfCorrected} / ${x.total}</td>` +
+				`<td>${x.incorrect}</td><td>${x.skipped}</td><td>${fmtPct(x.accuracy)}</td><td>${fmtNum(x.wpm)}</td>` +
+				`<td>${fmtGrade(x.grade)}</td></tr>`
+		)
+		.join("\n");
+	const errorRows = report.words
+		.filter((w) => ["incorrect", "skipped", "told"].includes(w.status))
+		.map(
+			(w) =>
+				`<tr><td>${w.wordNumber}</td><td>${escapeHtml(w.text)}</td><td>${escapeHtml(w.status)}</td>` +
+				`<td>${escapeHtml(w.heard || "–")}</td><td>${escapeHtml(w.note)}</td></tr>`
+		)
+		.join("\n");
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Reading report${report.reader ? ` – ${escapeHtml(report.reader)}` : ""}</title>
+<style>
+	body { font-family: system-ui, sans-serif; color: #111; margin: 24px; }
+	h1 { font-size: 20px; margin: 0 0 4px; }
+	h2 { font-size: 16px; margin: 20px 0 8px; }
+	.meta { color: #555; font-size: 13px; }
+	.summary { display: grid; grid-template-columns: repeat(4, auto); gap: 6px 24px; width: max-content; }
+	.passage { line-height: 2; font-size: 16px; }
+	.w.correct { color: #1d7a45; }
+	.w.incorrect { color: #b3261e; text-decoration: underline; }
+	.w.skipped { color: #b3261e; text-decoration: line-through; }
+	.w.selfcorrected { color: #1d7a45; text-decoration: underline dotted; }
+	.w.told { color: #b3261e; font-style: italic; }
+	.w.pending { color: #777; }
+	.miscue { font-size: 11px; vertical-align: super; color: #8a6d00; margin: 0 2px; }
+	table { border-collapse: collapse; font-size: 13px; }
+	th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+	@media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Reading report</h1>
+<div class="meta">${report.reader ? `Reader: ${escapeHtml(report.reader)} · ` : ""}${escapeHtml(new Date(report.generatedAt).toLocaleString())}</div>
+<h2>Summary</h2>
+<div class="summary">
+	<div><strong>Accuracy:</strong> ${fmtPct(s.accuracy)}</div>
+	<div><strong>WPM:</strong> ${fmtNum(s.wpm)}</div>
+	<div><strong>Progress:</strong> ${s.completed} / ${s.total}</div>
+	<div><strong>Time:</strong> ${Math.floor(s.elapsedSec || 0)}s</div>
+	<div><strong>Correct:</strong> ${s.correct}</div>
+	<div><strong>Incorrect:</strong> ${s.incorrect}</div>
+	<div><strong>Skipped:</strong> ${s.skipped}</div>
+	<div><strong>Self-corrected:</strong> ${s.selfCorrected}</div>
+	<div><strong>Told:</strong> ${s.told}</div>
+	<div><strong>Inserted words:</strong> ${s.insertions}</div>
+	<div><strong>Repetitions:</strong> ${s.repetitions}</div>
+	<div><strong>Mean latency:</strong> ${isFinite(s.meanLatencyMs) ? `${(s.meanLatencyMs / 1000).toFixed(2)}s` : "–"}</div>
+	<div><strong>Hesitations:</strong> ${s.hesitations}</div>
+	<div><strong>Passage grade:</strong> ${fmtGrade(s.grade)}</div>
+	<div><strong>Words/sentence:</strong> ${fmtGrade(s.wordsPerSentence)}</div>
+	<div><strong>Rare words:</strong> ${fmtPct(s.rareWordRatio)}</div>
+</div>
+<h2>Passage</h2>
+<p class="passage">${passage}</p>
+<h2>Errors</h2>
+${errorRows ? `<table><tr><th>Word</th><th>Text</th><th>Error</th><th>Heard</th><th>Note</th></tr>\n${errorRows}\n</table>` : "<p>No errors.</p>"}
+<h2>Sentences</h2>
+<table><tr><th>#</th><th>Sentence</th><th>Correct</th><th>Incorrect</th><th>Skipped</th><th>Accuracy</th><th>WPM</th><th>Grade</th></tr>
+${sentenceRows}
+</table>
+</body>
+</html>
+`;
+}
+
+export function downloadFile(filename, content, type) {
+	const blob = new Blob([content], { type });
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,138 @@
+// Running record: standard miscue notation, rates and reading level
+import { computeMetrics } from "./metrics.js";
+import { escapeHtml } from "./report.js";
+
+// Minimum accuracy (percent) for each level; anything lower is frustration
+export const DEFAULT_LEVEL_BANDS = { independent: 95, instructional: 90 };
+
+export function loadLevelBands() {
+	try {
+		const saved = JSON.parse(localStorage.getItem("levelBands") || "null");
+		if (saved && Number.isFinite(saved.independent) && Number.isFinite(saved.instructional)) {
+			return saved;
+		}
+	} catch (_) {}
+	return { ...DEFAULT_LEVEL_BANDS };
+}
+
+export function saveLevelBands(bands) {
+	localStorage.setItem("levelBands", JSON.stringify(bands));
+}
+
+export function readingLevel(accuracyPct, bands) {
+	if (!isFinite(accuracyPct)) return "";
+	if (accuracyPct >= bands.independent) return "independent";
+	if (accuracyPct >= bands.instructional) return "instructional";
+	return "frustration";
+}
+
+// Notation for one word: what the reader said above the line, the text below
+function wordCell(t) {
+	switch (t.status) {
+		case "correct":
+			return { kind: "correct", said: "✓", text: t.text };
+		case "incorrect":
+			return { kind: "substitution", said: t.heard || "?", text: t.text };
+		case "skipped":
+			return { kind: "omission", said: "—", text: t.text };
+		case "selfcorrected":
+			return { kind: "selfcorrection", said: t.attempt || "?", note: "SC", text: t.text };
+		case "told":
+			return { kind: "told", said: t.heard || "—", text: t.text, note: "T" };
+		case "unsure":
+			return { kind: "unsure", said: t.heard || "?", text: t.text, note: "?" };
+		default:
+			return { kind: "pending", said: "", text: t.text };
+	}
+}
+
+function miscueCell(m) {
+	if (m.type === "repetition") return { kind: "repetition", said: "R", text: "" };
+	return { kind: "insertion", said: m.words.join(" "), text: "—" };
+}
+
+/**
+ * Build a running record from token statuses and aligner miscues.
+ * Lines follow the sentences from computeSentences.
+ * @returns {{ lines, words, errors, selfCorrections, accuracyRate, errorRate, scRate, level }}
+ * where errorRate and scRate are the N in "1:N" ratios.
+ */
+export function buildRunningRecord(tokens, sentences, bands = DEFAULT_LEVEL_BANDS) {
+	const lines = sentences.map((s) => {
+		const cells = [];
+		for (let i = s.startIndex; i <= s.endIndex; i++) {
+			const t = tokens[i];
+			if (!t || !t.isWord) continue;
+			const miscues = t.miscues || [];
+			for (const m of miscues) if (m.where !== "after") cells.push(miscueCell(m));
+			cells.push(wordCell(t));
+			for (const m of miscues) if (m.where === "after") cells.push(miscueCell(m));
+		}
+		return cells;
+	});
+	const m = computeMetrics(tokens, null);
+	const words = m.completed;
+	const errors = m.errors;
+	const selfCorrections = m.selfCorrected;
+	const accuracyRate = words > 0 ? (Math.max(0, words - errors) / words) * 100 : NaN;
+	return {
+		lines,
+		words,
+		errors,
+		selfCorrections,
+		accuracyRate,
+		errorRate: errors > 0 ? Math.round(words / errors) : NaN,
+		scRate: selfCorrections > 0 ? Math.round((errors + selfCorrections) / selfCorrections) : NaN,
+		level: readingLevel(accuracyRate, bands),
+		bands,
+	};
+}
+
+export function formatRatio(n) {
+	return isFinite(n) ? `1:${n}` : "–";
+}
+
+export function runningRecordToHTML(record, { reader = "" } = {}) {
+	const cell = (c) =>
+		`<span class="cell ${c.kind}"><span class="said">${escapeHtml(c.said)}${
+			c.note ? `<sup>${c.note}</sup>` : ""
+		}</span><span class="text">${escapeHtml(c.text)}</span></span>`;
+	const lines = record.lines
+		.map((cells) => `<div class="line">${cells.map(cell).join("")}</div>`)
+		.join("\n");
+	const acc = isFinite(record.accuracyRate) ? `${record.accuracyRate.toFixed(0)}%` : "–";
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Running record${reader ? ` – ${escapeHtml(reader)}` : ""}</title>
+<style>
+	body { font-family: system-ui, sans-serif; color: #111; margin: 24px; }
+	h1 { font-size: 20px; margin: 0 0 4px; }
+	.meta { color: #555; font-size: 13px; margin-bottom: 12px; }
+	.summary { display: flex; gap: 24px; margin-bottom: 16px; }
+	.line { display: flex; flex-wrap: wrap; gap: 4px 10px; padding: 8px 0; border-bottom: 1px solid #ddd; }
+	.cell { display: inline-flex; flex-direction: column; align-items: center; min-width: 1.5em; }
+	.said { border-bottom: 1px solid #111; padding: 0 2px; min-height: 1.2em; }
+	.text { padding: 0 2px; color: #555; min-height: 1.2em; }
+	.correct .said { color: #1d7a45; }
+	.substitution .said, .omission .said, .insertion .said, .told .said { color: #b3261e; }
+	.selfcorrection .said, .repetition .said, .unsure .said { color: #8a6d00; }
+	@media print { body { margin: 0; } .line { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Running record</h1>
+<div class="meta">${reader ? `Reader: ${escapeHtml(reader)} · ` : ""}${escapeHtml(new Date().toLocaleString())}</div>
+<div class="summary">
+	<div><strong>Running words:</strong> ${record.words}</div>
+	<div><strong>Accuracy:</strong> ${acc}</div>
+	<div><strong>Error rate:</strong> ${formatRatio(record.errorRate)}</div>
+	<div><strong>SC rate:</strong> ${formatRatio(record.scRate)}</div>
+	<div><strong>Level:</strong> ${escapeHtml(record.level || "–")} (independent ≥ ${record.bands.independent}%, instructional ≥ ${record.bands.instructional}%)</div>
+</div>
+${lines}
+</body>
+</html>
+`;
+}
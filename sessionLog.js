@@ -0,0 +1,101 @@
+// Session event log: recognizer results and manual actions, for replaying
+// a session without a microphone
+
+export const SESSION_LOG_VERSION = 1;
+
+/**
+ * Records the inputs of one passage session. Every event carries `t`, the
+ * milliseconds since recording began; event data is stored as given.
+ */
+export class SessionRecorder {
+	constructor(text = "", settings = {}, startedAt = Date.now()) {
+		this.text = text;
+		this.settings = { ...settings };
+		this.startedAt = startedAt;
+		this.events = [];
+	}
+
+	// Continue an existing log, so new events keep its time base
+	static fromLog(log, startedAt) {
+		const recorder = new SessionRecorder(log.text, log.settings, startedAt);
+		recorder.events = log.events.map((e) => ({ ...e }));
+		return recorder;
+	}
+
+	record(type, data = {}, now = Date.now()) {
+		this.events.push({ t: now - this.startedAt, type, ...data });
+	}
+
+	// Convert absolute times (ms since epoch) to log offsets and back
+	toOffset(time) {
+		return time - this.startedAt;
+	}
+
+	fromOffset(offset) {
+		return this.startedAt + offset;
+	}
+
+	/**
+	 * Serialise the log. `statuses` (final word statuses, null for non-words)
+	 * lets a replay check that it reproduced the session.
+	 */
+	toJSON(statuses) {
+		return JSON.stringify(
+			{
+				version: SESSION_LOG_VERSION,
+				recordedAt: new Date(this.startedAt).toISOString(),
+				text: this.text,
+				settings: this.settings,
+				events: this.events,
+				statuses: statuses || null,
+			},
+			null,
+			2
+		);
+	}
+}
+
+/**
+ * Parse and validate a downloaded log. Throws with a readable message.
+ */
+export function parseSessionLog(json) {
+	let log;
+	try {
+		log = JSON.parse(json);
+	} catch (_) {
+		throw new Error("Not a JSON file");
+	}
+	if (!log || typeof log !== "object") throw new Error("Not a session log");
+	if (log.version !== SESSION_LOG_VERSION) {
+		throw new Error(`Unsupported session log version: ${log.version}`);
+	}
+	if (typeof log.text !== "string" || !log.text.trim()) {
+		throw new Error("Session log has no passage text");
+	}
+	if (!Array.isArray(log.events) || !log.events.every(isValidEvent)) {
+		throw new Error("Session log events are malformed");
+	}
+	return {
+		text: log.text,
+		settings: log.settings && typeof log.settings === "object" ? log.settings : {},
+		events: log.events,
+		statuses: Array.isArray(log.statuses) ? log.statuses : null,
+	};
+}
+
+function isValidEvent(e) {
+	return e && typeof e.type === "string" && Number.isFinite(e.t);
+}
+
+/**
+ * Compare replayed statuses with the recorded ones.
+ * Returns the word indices that differ.
+ */
+export function diffStatuses(expected, actual) {
+	const diff = [];
+	const n = Math.max(expected.length, actual.length);
+	for (let i = 0; i < n; i++) {
+		if ((expected[i] ?? null) !== (actual[i] ?? null)) diff.push(i);
+	}
+	return diff;
+}
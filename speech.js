@@ -1,21 +1,68 @@
-// Web Speech API wrapper for M2
+// Speech recognition engine with pluggable backends for M2
+//
+// Every backend implements the same small interface:
+//   supported, running, setLanguage(lang), start(), stop()
+// and reports through the handlers the engine attaches with attach():
+//   partial(text, meta), final(text, meta), status(text)
+// Final meta may carry wordTimes, alternatives ([{ transcript, confidence }],
+// best first) and wordConfidences (one per word of text).
 
-export class SpeechEngine {
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Base class for recognizer backends. Subclasses call the _emit* helpers.
+ */
+export class SpeechBackend {
+  constructor() {
+    this.supported = false;
+    this.running = false;
+    this.lang = 'en-GB';
+    this._handlers = null;
+  }
+
+  attach(handlers) {
+    this._handlers = handlers;
+  }
+
+  setLanguage(lang) {
+    this.lang = lang || 'en-GB';
+  }
+
+  start() {}
+
+  stop() {}
+
+  _emitPartial(text, meta) {
+    if (this._handlers?.partial) this._handlers.partial(text, meta);
+  }
+
+  _emitFinal(text, meta) {
+    if (this._handlers?.final) this._handlers.final(text, meta);
+  }
+
+  _emitStatus(s) {
+    if (this._handlers?.status) this._handlers.status(s);
+  }
+}
+
+/**
+ * Web Speech API backend (Chrome, Edge, Safari). Audio is processed by the
+ * browser vendor's service.
+ */
+export class WebSpeechBackend extends SpeechBackend {
   constructor() {
+    super();
     const SR = (window.SpeechRecognition || window.webkitSpeechRecognition);
     this.supported = !!SR;
     this._SR = SR || null;
     this.rec = null;
-    this.running = false;
-    this.lang = 'en-GB';
-    this.onPartial = null; // (text) => void
-    this.onFinal = null;   // (text) => void
-    this.onStatus = null;  // (status) => void
     this._autoRestart = true;
+    // Per result index: time each word first appeared in an interim transcript
+    this._wordTimes = new Map();
   }
 
   setLanguage(lang) {
-    this.lang = lang || 'en-GB';
+    super.setLanguage(lang);
     if (this.rec) this.rec.lang = this.lang;
   }
 
@@ -25,13 +72,16 @@ export class SpeechEngine {
       return;
     }
     if (this.running) return;
+    this._autoRestart = true;
     this.rec = new this._SR();
     this.rec.continuous = true;
     this.rec.interimResults = true;
+    this.rec.maxAlternatives = MAX_ALTERNATIVES;
     this.rec.lang = this.lang;
 
     this.rec.onstart = () => {
       this.running = true;
+      this._wordTimes.clear(); // result indices restart with the session
       this._emitStatus('listening');
     };
     this.rec.onend = () => {
@@ -46,16 +96,31 @@ export class SpeechEngine {
       this._emitStatus(`error: ${e.error || 'unknown'}`);
     };
     this.rec.onresult = (event) => {
+      const now = Date.now();
       let interim = '';
       let finals = [];
+      let finalTimes = [];
+      let finalResults = [];
       for (let i = event.resultIndex; i < event.results.length; i++) {
         const res = event.results[i];
         const txt = res[0] && res[0].transcript ? res[0].transcript : '';
-        if (res.isFinal) finals.push(txt);
-        else interim += txt;
+        const times = this._trackWordTimes(i, txt, now);
+        if (res.isFinal) {
+          finals.push(txt);
+          finalResults.push(res);
+          finalTimes.push(...times);
+          this._wordTimes.delete(i);
+        } else interim += txt;
       }
-      if (interim && this.onPartial) this.onPartial(interim.trim());
-      if (finals.length && this.onFinal) this.onFinal(finals.join(' ').trim());
+      // Finals first, so the interim text is previewed against the committed alignment
+      if (finals.length) {
+        this._emitFinal(finals.join(' ').trim(), {
+          receivedAt: now,
+          wordTimes: finalTimes,
+          alternatives: joinAlternatives(finalResults),
+        });
+      }
+      if (interim) this._emitPartial(interim.trim(), { receivedAt: now });
     };
 
     try {
@@ -73,8 +138,78 @@ export class SpeechEngine {
     this._emitStatus('stopped');
   }
 
-  _emitStatus(s) {
-    if (this.onStatus) this.onStatus(s);
+  // Web Speech gives no word timings, so approximate each word's time as the
+  // moment it first showed up in a (partial or final) transcript for this result
+  _trackWordTimes(resultIndex, transcript, now) {
+    const words = transcript.trim().split(/\s+/).filter(Boolean);
+    const times = (this._wordTimes.get(resultIndex) || []).slice(0, words.length);
+    while (times.length < words.length) times.push(now);
+    this._wordTimes.set(resultIndex, times);
+    return times;
   }
 }
 
+// Combine the N-best lists of several final results into phrase-level
+// alternatives; results with fewer alternatives contribute their best one
+function joinAlternatives(results) {
+  const n = Math.max(...results.map((r) => r.length));
+  const alternatives = [];
+  for (let k = 0; k < n; k++) {
+    const parts = results.map((r) => r[k] || r[0]);
+    alternatives.push({
+      transcript: parts.map((a) => (a.transcript || '').trim()).join(' ').trim(),
+      confidence: Math.min(...parts.map((a) => a.confidence ?? 0)),
+    });
+  }
+  return alternatives;
+}
+
+/**
+ * Facade used by the app. Forwards onPartial/onFinal/onStatus from whichever
+ * backend is active, so backends can be swapped at runtime.
+ */
+export class SpeechEngine {
+  constructor(backend) {
+    this.backend = null;
+    this.lang = 'en-GB';
+    this.onPartial = null; // (text, { receivedAt }) => void
+    this.onFinal = null;   // (text, { receivedAt, wordTimes, alternatives, wordConfidences }) => void
+    this.onStatus = null;  // (status) => void
+    this.setBackend(backend || new WebSpeechBackend());
+  }
+
+  get supported() {
+    return this.backend.supported;
+  }
+
+  get running() {
+    return this.backend.running;
+  }
+
+  setBackend(backend) {
+    if (this.backend) {
+      if (this.backend.running) this.backend.stop();
+      this.backend.attach(null);
+    }
+    this.backend = backend;
+    backend.setLanguage(this.lang);
+    backend.attach({
+      partial: (text, meta) => this.onPartial && this.onPartial(text, meta),
+      final: (text, meta) => this.onFinal && this.onFinal(text, meta),
+      status: (s) => this.onStatus && this.onStatus(s),
+    });
+  }
+
+  setLanguage(lang) {
+    this.lang = lang || 'en-GB';
+    this.backend.setLanguage(this.lang);
+  }
+
+  start() {
+    this.backend.start();
+  }
+
+  stop() {
+    this.backend.stop();
+  }
+}
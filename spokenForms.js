@@ -0,0 +1,712 @@
+// Spoken forms of written tokens: numbers, ordinals, years, currency,
+// percentages, times, abbreviations and symbols.
+//
+// Each reading is an array of normalized words, e.g. "42" →
+// [["forty", "two"], ["fortytwo"]]. Readers are registered per language;
+// languages without one get no readings and are matched as written.
+// English reads all of the above; Spanish, Portuguese, French and German
+// read numbers, ordinals, percentages, abbreviations and symbols, but not
+// times, currency amounts or decimals.
+
+const readers = new Map();
+
+/**
+ * Register the spoken-form reader for a language ("en", "es", ...).
+ * @param {string} lang primary language subtag
+ * @param {(text: string, next: string) => string[][]} reader gets the
+ *   token and the character written right after it; its optional
+ *   `abbreviations` property maps the lowercase abbreviations it reads out
+ *   to their readings
+ */
+export function registerSpokenForms(lang, reader) {
+	readers.set(lang.toLowerCase(), reader);
+}
+
+function readerFor(lang) {
+	return readers.get(String(lang).split("-")[0].toLowerCase());
+}
+
+/** Whether a written token is an abbreviation read out in full ("Dr"). */
+export function isAbbreviation(text, lang = "en") {
+	const abbreviations = readerFor(lang)?.abbreviations;
+	return !!text && !!abbreviations && Object.hasOwn(abbreviations, text.toLowerCase());
+}
+
+/**
+ * Every accepted spoken reading of a written token, or [] when it is only
+ * read as written. Multi-word readings also appear joined into one word,
+ * since recognizers sometimes write "forty-two". `next` is the character
+ * after the token, which some languages need ("3." is an ordinal in German).
+ */
+export function spokenReadings(text, lang = "en", next = "") {
+	const reader = readerFor(lang);
+	if (!reader || !text) return [];
+	const seen = new Set();
+	const readings = [];
+	for (const r of reader(text, next)) {
+		for (const words of r.length > 1 ? [r, [r.join("")]] : [r]) {
+			const key = words.join(" ");
+			if (!key || seen.has(key)) continue;
+			seen.add(key);
+			readings.push(words);
+		}
+	}
+	return readings;
+}
+
+// English
+
+const ONES = [
+	"zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
+	"ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen",
+	"seventeen", "eighteen", "nineteen",
+];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = [
+	[1e9, "billion"],
+	[1e6, "million"],
+	[1e3, "thousand"],
+];
+const IRREGULAR_ORDINALS = {
+	one: "first",
+	two: "second",
+	three: "third",
+	five: "fifth",
+	eight: "eighth",
+	nine: "ninth",
+	twelve: "twelfth",
+};
+const CURRENCIES = {
+	$: ["dollar", "dollars", "cent", "cents"],
+	"£": ["pound", "pounds", "penny", "pence"],
+	"€": ["euro", "euros", "cent", "cents"],
+};
+const EN_ABBREVIATIONS = {
+	dr: [["doctor"], ["drive"]],
+	mr: [["mister"]],
+	mrs: [["missus"], ["misses"]],
+	ms: [["miz"]],
+	st: [["saint"], ["street"]],
+	mt: [["mount"]],
+	ave: [["avenue"]],
+	rd: [["road"]],
+	jr: [["junior"]],
+	sr: [["senior"]],
+	prof: [["professor"]],
+	capt: [["captain"]],
+	sgt: [["sergeant"]],
+	gen: [["general"]],
+	dept: [["department"]],
+	approx: [["approximately"]],
+	etc: [["et", "cetera"]],
+	vs: [["versus"]],
+	am: [["a", "m"]],
+	pm: [["p", "m"]],
+	km: [["kilometres"], ["kilometers"], ["kilometre"], ["kilometer"]],
+	cm: [["centimetres"], ["centimeters"]],
+	mm: [["millimetres"], ["millimeters"]],
+	kg: [["kilograms"], ["kilogram"], ["kilos"]],
+	lb: [["pounds"], ["pound"]],
+	lbs: [["pounds"]],
+	oz: [["ounces"], ["ounce"]],
+	ft: [["feet"], ["foot"]],
+	hr: [["hour"], ["hours"]],
+	hrs: [["hours"]],
+};
+const EN_CONTRACTIONS = {
+	"won't": [["will", "not"]],
+	"can't": [["can", "not"], ["cannot"]],
+	"shan't": [["shall", "not"]],
+	"let's": [["let", "us"]],
+};
+const EN_CONTRACTION_SUFFIXES = [
+	["n't", [["not"]]],
+	["'re", [["are"]]],
+	["'ve", [["have"]]],
+	["'ll", [["will"], ["shall"]]],
+	["'m", [["am"]]],
+	["'d", [["would"], ["had"]]],
+];
+// "'s" is also possessive, so it is only expanded after pronouns and the like
+const EN_IS_HAS = new Set([
+	"it", "he", "she", "that", "what", "there", "here", "who", "where", "how", "when", "why",
+]);
+const EN_SYMBOLS = {
+	"&": [["and"]],
+	"+": [["plus"], ["and"]],
+	"=": [["equals"], ["is"]],
+	"@": [["at"]],
+	"%": [["percent"], ["per", "cent"]],
+};
+
+// Cardinal number words; `and` inserts the British "and" after hundreds
+function cardinal(n, and = false) {
+	if (n < 20) return [ONES[n]];
+	if (n < 100) return n % 10 ? [TENS[Math.floor(n / 10)], ONES[n % 10]] : [TENS[n / 10]];
+	if (n < 1000) {
+		const rest = n % 100;
+		const head = [ONES[Math.floor(n / 100)], "hundred"];
+		if (!rest) return head;
+		return [...head, ...(and ? ["and"] : []), ...cardinal(rest, and)];
+	}
+	for (const [scale, name] of SCALES) {
+		if (n < scale) continue;
+		const rest = n % scale;
+		const head = [...cardinal(Math.floor(n / scale), and), name];
+		if (!rest) return head;
+		// "two thousand and five": the "and" comes before a remainder under 100
+		return [...head, ...(and && rest < 100 ? ["and"] : []), ...cardinal(rest, and)];
+	}
+	return [];
+}
+
+// Cardinal readings with and without "and", plus "a hundred"/"a thousand"
+function cardinals(n) {
+	const readings = [cardinal(n), cardinal(n, true)];
+	for (const r of [...readings]) {
+		if (r[0] === "one" && (r[1] === "hundred" || r[1] === "thousand")) readings.push(["a", ...r.slice(1)]);
+	}
+	return readings;
+}
+
+function ordinalWord(word) {
+	if (IRREGULAR_ORDINALS[word]) return IRREGULAR_ORDINALS[word];
+	if (word.endsWith("y")) return `${word.slice(0, -1)}ieth`;
+	return `${word}th`;
+}
+
+function pluralWord(word) {
+	if (word.endsWith("y")) return `${word.slice(0, -1)}ies`;
+	if (word.endsWith("x")) return `${word}es`;
+	return `${word}s`;
+}
+
+function mapLast(reading, fn) {
+	return [...reading.slice(0, -1), fn(reading[reading.length - 1])];
+}
+
+// Year readings: 1984 "nineteen eighty four", 1905 "nineteen oh five",
+// 1900 "nineteen hundred", 2015 "twenty fifteen"
+function years(n) {
+	if (n < 1000 || n > 2099 || (n >= 2000 && n < 2010)) return [];
+	const hi = Math.floor(n / 100);
+	const lo = n % 100;
+	if (lo === 0) return n % 1000 === 0 ? [] : [[...cardinal(hi), "hundred"]];
+	if (lo < 10) return [[...cardinal(hi), "oh", ONES[lo]]];
+	return [[...cardinal(hi), ...cardinal(lo)]];
+}
+
+function digits(s) {
+	return [...s].map((d) => ONES[Number(d)]);
+}
+
+function decimals(whole, fraction) {
+	const point = ["point", ...digits(fraction)];
+	const readings = cardinals(whole).map((r) => [...r, ...point]);
+	if (whole === 0) readings.push(point);
+	return readings;
+}
+
+function numberReadings(s) {
+	const plain = s.replace(/,/g, "");
+	if (/^\d+\.\d+$/.test(plain)) {
+		const [whole, fraction] = plain.split(".");
+		return decimals(Number(whole), fraction);
+	}
+	if (!/^\d+$/.test(plain)) return [];
+	const n = Number(plain);
+	if (!Number.isSafeInteger(n) || n >= 1e12) return [];
+	const readings = cardinals(n);
+	// "twelve hundred" for 1200
+	if (n > 1000 && n < 10000 && n % 100 === 0 && n % 1000 !== 0) {
+		readings.push([...cardinal(n / 100), "hundred"]);
+	}
+	if (!s.includes(",")) readings.push(...years(n));
+	// Leading zeros ("007") are read digit by digit
+	if (plain.length > 1 && plain[0] === "0") readings.push(digits(plain));
+	return readings;
+}
+
+function timeReadings(h, m) {
+	if (h > 23 || m > 59) return [];
+	const hours = h > 12 ? [h, h - 12] : [h === 0 ? 12 : h];
+	const readings = [];
+	for (const hr of hours) {
+		const hw = cardinal(hr);
+		const next = cardinal((hr % 12) + 1);
+		if (m === 0) {
+			readings.push([...hw, "oclock"], hw, [...hw, "hundred"]);
+			continue;
+		}
+		readings.push([...hw, ...(m < 10 ? ["oh", ONES[m]] : cardinal(m))]);
+		if (m === 15) readings.push(["quarter", "past", ...hw], ["a", "quarter", "past", ...hw]);
+		else if (m === 30) readings.push(["half", "past", ...hw], ["half", ...hw]);
+		else if (m === 45) readings.push(["quarter", "to", ...next], ["a", "quarter", "to", ...next]);
+		else if (m < 30) readings.push([...cardinal(m), "past", ...hw], [...cardinal(m), "minutes", "past", ...hw]);
+		else readings.push([...cardinal(60 - m), "to", ...next], [...cardinal(60 - m), "minutes", "to", ...next]);
+	}
+	return readings;
+}
+
+function currencyReadings(symbol, amount) {
+	const [unit, units, sub, subs] = CURRENCIES[symbol];
+	const [whole, fraction] = amount.replace(/,/g, "").split(".");
+	const major = Number(whole);
+	const minor = fraction && fraction.length === 2 ? Number(fraction) : null;
+	if (!Number.isSafeInteger(major)) return [];
+	if (fraction && minor == null) {
+		return decimals(major, fraction).map((r) => [...r, units]);
+	}
+	const majorWords = cardinals(major).map((r) => [...r, major === 1 ? unit : units]);
+	if (!minor) return majorWords;
+	const minorWords = [...cardinal(minor), minor === 1 ? sub : subs];
+	if (major === 0) return [minorWords];
+	const readings = [];
+	for (const r of majorWords) {
+		readings.push([...r, ...minorWords], [...r, "and", ...minorWords], [...r, ...cardinal(minor)]);
+	}
+	// "three fifty" for $3.50
+	readings.push([...cardinal(major), ...cardinal(minor)]);
+	return readings;
+}
+
+// "don't" → "do not", "they're" → "they are", "it's" → "it is" / "it has"
+function contractionReadings(word) {
+	if (EN_CONTRACTIONS[word]) return EN_CONTRACTIONS[word];
+	for (const [suffix, tails] of EN_CONTRACTION_SUFFIXES) {
+		if (word.endsWith(suffix) && word.length > suffix.length) {
+			const stem = word.slice(0, -suffix.length);
+			return tails.map((t) => [stem, ...t]);
+		}
+	}
+	if (word.endsWith("'s") && EN_IS_HAS.has(word.slice(0, -2))) {
+		const stem = word.slice(0, -2);
+		return [[stem, "is"], [stem, "has"]];
+	}
+	return [];
+}
+
+function englishReadings(text) {
+	const lower = text.toLowerCase();
+	if (EN_SYMBOLS[lower]) return EN_SYMBOLS[lower];
+	if (EN_ABBREVIATIONS[lower]) return EN_ABBREVIATIONS[lower];
+	if (/\p{L}['’‘`´]\p{L}/u.test(lower)) return contractionReadings(lower.replace(/['’‘`´]/g, "'"));
+
+	let m;
+	if ((m = lower.match(/^([$£€])(\d[\d,]*(?:\.\d+)?)$/))) return currencyReadings(m[1], m[2]);
+	if ((m = lower.match(/^(\d[\d,]*(?:\.\d+)?)%$/))) {
+		return numberReadings(m[1]).flatMap((r) => [[...r, "percent"], [...r, "per", "cent"]]);
+	}
+	if ((m = lower.match(/^(\d{1,2}):(\d{2})$/))) return timeReadings(Number(m[1]), Number(m[2]));
+	if ((m = lower.match(/^(\d+)(st|nd|rd|th)$/))) {
+		const n = Number(m[1]);
+		if (!Number.isSafeInteger(n)) return [];
+		return cardinals(n).map((r) => mapLast(r, ordinalWord));
+	}
+	// Decades: 1990s "nineteen nineties", 80s "eighties"
+	if ((m = lower.match(/^(\d{2}|\d{4})s$/))) {
+		const n = Number(m[1]);
+		const asYear = m[1].length === 4 ? years(n) : [];
+		const readings = asYear.length ? asYear : [cardinal(n)];
+		return readings.map((r) => mapLast(r, pluralWord));
+	}
+	if (/^\d[\d,]*(?:\.\d+)?$/.test(lower)) return numberReadings(lower);
+	return [];
+}
+
+englishReadings.abbreviations = EN_ABBREVIATIONS;
+registerSpokenForms("en", englishReadings);
+
+// Other languages
+
+// Reader for a language with number words: `cardinals(n)` and
+// `ordinals(n, mark)` give its readings, `mark` being the letters after the
+// digits ("º", "e") or "." for a period right after them
+function numberReader({ cardinals, ordinals, percent, abbreviations, symbols, periodOrdinals = false }) {
+	const reader = (text, next) => {
+		const lower = text.toLowerCase();
+		if (symbols[lower]) return symbols[lower];
+		if (abbreviations[lower]) return abbreviations[lower];
+		let m;
+		if ((m = lower.match(/^(\d[\d.,]*)%$/))) {
+			const n = integerValue(m[1]);
+			return n == null ? [] : cardinals(n).map((r) => [...r, ...percent]);
+		}
+		if ((m = lower.match(/^(\d+)(\p{L}+)$/u))) {
+			const n = Number(m[1]);
+			return Number.isSafeInteger(n) ? ordinals(n, m[2]) : [];
+		}
+		const n = integerValue(lower);
+		if (n == null) return [];
+		// The period may also end the sentence, so both readings are accepted
+		if (periodOrdinals && next === ".") return [...cardinals(n), ...ordinals(n, ".")];
+		return cardinals(n);
+	};
+	reader.abbreviations = abbreviations;
+	return reader;
+}
+
+// Whole numbers, with "." or "," between groups of thousands ("10.000")
+function integerValue(s) {
+	const plain = /^\d{1,3}(?:[.,]\d{3})+$/.test(s) ? s.replace(/[.,]/g, "") : s;
+	if (!/^\d+$/.test(plain)) return null;
+	const n = Number(plain);
+	return Number.isSafeInteger(n) && n < 1e12 ? n : null;
+}
+
+// Readings with words replaced from `map`, when that changes anything
+function variant(reading, map) {
+	const changed = reading.map((w) => map[w] ?? w);
+	return changed.some((w, i) => w !== reading[i]) ? [changed] : [];
+}
+
+// Spanish and Portuguese ordinals from 1º to 100º; "ª" is feminine
+function iberianOrdinals(tens, ones, masculine = (r) => [r]) {
+	return (n, mark) => {
+		if ((mark !== "º" && mark !== "ª") || n < 1 || n > 100) return [];
+		const words = [tens[Math.floor(n / 10)], ones[n % 10]].filter(Boolean);
+		if (mark === "ª") return [words.map((w) => w.replace(/o$/, "a"))];
+		return masculine(words, n);
+	};
+}
+
+// Spanish
+
+const ES_ONES = [
+	"cero", "uno", "dos", "tres", "cuatro", "cinco", "seis", "siete", "ocho", "nueve",
+	"diez", "once", "doce", "trece", "catorce", "quince", "dieciséis", "diecisiete",
+	"dieciocho", "diecinueve", "veinte", "veintiuno", "veintidós", "veintitrés",
+	"veinticuatro", "veinticinco", "veintiséis", "veintisiete", "veintiocho", "veintinueve",
+];
+const ES_TENS = ["", "", "veinte", "treinta", "cuarenta", "cincuenta", "sesenta", "setenta", "ochenta", "noventa"];
+const ES_HUNDREDS = [
+	"", "ciento", "doscientos", "trescientos", "cuatrocientos", "quinientos",
+	"seiscientos", "setecientos", "ochocientos", "novecientos",
+];
+const ES_ORDINAL_ONES = ["", "primero", "segundo", "tercero", "cuarto", "quinto", "sexto", "séptimo", "octavo", "noveno"];
+const ES_ORDINAL_TENS = [
+	"", "décimo", "vigésimo", "trigésimo", "cuadragésimo", "quincuagésimo",
+	"sexagésimo", "septuagésimo", "octogésimo", "nonagésimo", "centésimo",
+];
+// "uno" is shortened before a noun or "mil": "un libro", "veintiún mil"
+const ES_APOCOPE = { uno: "un", veintiuno: "veintiún" };
+
+function esCardinal(n) {
+	if (n < 30) return [ES_ONES[n]];
+	if (n < 100) return n % 10 ? [ES_TENS[Math.floor(n / 10)], "y", ES_ONES[n % 10]] : [ES_TENS[n / 10]];
+	if (n < 1000) {
+		if (n === 100) return ["cien"];
+		const rest = n % 100;
+		return [ES_HUNDREDS[Math.floor(n / 100)], ...(rest ? esCardinal(rest) : [])];
+	}
+	const [scale, one, many] = n < 1e6 ? [1e3, ["mil"], "mil"] : [1e6, ["un", "millón"], "millones"];
+	const k = Math.floor(n / scale);
+	const rest = n % scale;
+	const head = k === 1 ? one : [...esCardinal(k).map((w) => ES_APOCOPE[w] ?? w), many];
+	return [...head, ...(rest ? esCardinal(rest) : [])];
+}
+
+function esCardinals(n) {
+	const r = esCardinal(n);
+	const last = r[r.length - 1];
+	if (last !== "uno" && last !== "veintiuno") return [r];
+	// "un libro", "una casa", "veintiún años"
+	return [r, mapLast(r, (w) => ES_APOCOPE[w]), mapLast(r, (w) => w.replace(/o$/, "a"))];
+}
+
+registerSpokenForms("es", numberReader({
+	cardinals: esCardinals,
+	ordinals: iberianOrdinals(ES_ORDINAL_TENS, ES_ORDINAL_ONES, (r, n) => {
+		const readings = [r];
+		// "primer piso", "tercer día"
+		if (n % 10 === 1 || n % 10 === 3) readings.push(mapLast(r, (w) => w.slice(0, -1)));
+		if (n === 11) readings.push(["undécimo"]);
+		if (n === 12) readings.push(["duodécimo"]);
+		return readings;
+	}),
+	percent: ["por", "ciento"],
+	abbreviations: {
+		sr: [["señor"]],
+		sra: [["señora"]],
+		srta: [["señorita"]],
+		dr: [["doctor"]],
+		dra: [["doctora"]],
+		ud: [["usted"]],
+		uds: [["ustedes"]],
+		prof: [["profesor"]],
+		av: [["avenida"]],
+		pág: [["página"]],
+		núm: [["número"]],
+		etc: [["etcétera"]],
+		km: [["kilómetros"], ["kilómetro"]],
+		cm: [["centímetros"]],
+		kg: [["kilos"], ["kilogramos"]],
+	},
+	symbols: {
+		"&": [["y"]],
+		"+": [["más"]],
+		"=": [["igual"], ["es", "igual", "a"]],
+		"@": [["arroba"]],
+		"%": [["por", "ciento"]],
+	},
+}));
+
+// Portuguese
+
+const PT_ONES = [
+	"zero", "um", "dois", "três", "quatro", "cinco", "seis", "sete", "oito", "nove",
+	"dez", "onze", "doze", "treze", "catorze", "quinze", "dezesseis", "dezessete", "dezoito", "dezenove",
+];
+const PT_TENS = ["", "", "vinte", "trinta", "quarenta", "cinquenta", "sessenta", "setenta", "oitenta", "noventa"];
+const PT_HUNDREDS = [
+	"", "cento", "duzentos", "trezentos", "quatrocentos", "quinhentos",
+	"seiscentos", "setecentos", "oitocentos", "novecentos",
+];
+const PT_ORDINAL_ONES = ["", "primeiro", "segundo", "terceiro", "quarto", "quinto", "sexto", "sétimo", "oitavo", "nono"];
+const PT_ORDINAL_TENS = [
+	"", "décimo", "vigésimo", "trigésimo", "quadragésimo", "quinquagésimo",
+	"sexagésimo", "septuagésimo", "octogésimo", "nonagésimo", "centésimo",
+];
+// European Portuguese spellings, and "quatorze" heard in Brazil
+const PT_VARIANTS = { dezesseis: "dezasseis", dezessete: "dezassete", dezenove: "dezanove", catorze: "quatorze" };
+const PT_FEMININE = {
+	um: "uma", dois: "duas", duzentos: "duzentas", trezentos: "trezentas", quatrocentos: "quatrocentas",
+	quinhentos: "quinhentas", seiscentos: "seiscentas", setecentos: "setecentas",
+	oitocentos: "oitocentas", novecentos: "novecentas",
+};
+
+function ptCardinal(n) {
+	if (n < 20) return [PT_ONES[n]];
+	if (n < 100) return n % 10 ? [PT_TENS[Math.floor(n / 10)], "e", PT_ONES[n % 10]] : [PT_TENS[n / 10]];
+	if (n < 1000) {
+		if (n === 100) return ["cem"];
+		const rest = n % 100;
+		return [PT_HUNDREDS[Math.floor(n / 100)], ...(rest ? ["e", ...ptCardinal(rest)] : [])];
+	}
+	const [scale, one, many] = n < 1e6 ? [1e3, ["mil"], "mil"] : [1e6, ["um", "milhão"], "milhões"];
+	const k = Math.floor(n / scale);
+	const rest = n % scale;
+	const head = k === 1 ? one : [...ptCardinal(k), many];
+	if (!rest) return head;
+	// "mil e vinte", "mil e quinhentos", but "mil duzentos e trinta"
+	return [...head, ...(rest < 100 || rest % 100 === 0 ? ["e"] : []), ...ptCardinal(rest)];
+}
+
+function ptCardinals(n) {
+	const r = ptCardinal(n);
+	return [r, ...variant(r, PT_FEMININE), ...variant(r, PT_VARIANTS)];
+}
+
+registerSpokenForms("pt", numberReader({
+	cardinals: ptCardinals,
+	ordinals: iberianOrdinals(PT_ORDINAL_TENS, PT_ORDINAL_ONES),
+	percent: ["por", "cento"],
+	abbreviations: {
+		sr: [["senhor"]],
+		sra: [["senhora"]],
+		dr: [["doutor"]],
+		dra: [["doutora"]],
+		prof: [["professor"]],
+		profa: [["professora"]],
+		av: [["avenida"]],
+		pág: [["página"]],
+		etc: [["etcétera"], ["et", "cetera"]],
+		km: [["quilômetros"], ["quilómetros"], ["quilômetro"]],
+		cm: [["centímetros"]],
+		kg: [["quilos"], ["quilogramas"]],
+	},
+	symbols: {
+		"&": [["e"]],
+		"+": [["mais"]],
+		"=": [["igual"], ["igual", "a"]],
+		"@": [["arroba"]],
+		"%": [["por", "cento"]],
+	},
+}));
+
+// French
+
+const FR_ONES = [
+	"zéro", "un", "deux", "trois", "quatre", "cinq", "six", "sept", "huit", "neuf",
+	"dix", "onze", "douze", "treize", "quatorze", "quinze", "seize",
+];
+const FR_TENS = ["", "", "vingt", "trente", "quarante", "cinquante", "soixante"];
+
+// Hyphenated words ("dix-sept") are separate words here; the joined form is
+// added as a reading of its own
+function frCardinal(n) {
+	if (n < 17) return [FR_ONES[n]];
+	if (n < 20) return ["dix", FR_ONES[n - 10]];
+	if (n < 70) {
+		const tens = FR_TENS[Math.floor(n / 10)];
+		const unit = n % 10;
+		if (!unit) return [tens];
+		return unit === 1 ? [tens, "et", "un"] : [tens, FR_ONES[unit]];
+	}
+	if (n < 80) return n === 71 ? ["soixante", "et", "onze"] : ["soixante", ...frCardinal(n - 60)];
+	if (n < 100) return n === 80 ? ["quatre", "vingts"] : ["quatre", "vingt", ...frCardinal(n - 80)];
+	if (n < 1000) {
+		const h = Math.floor(n / 100);
+		const rest = n % 100;
+		const head = h === 1 ? ["cent"] : [FR_ONES[h], rest ? "cent" : "cents"];
+		return [...head, ...(rest ? frCardinal(rest) : [])];
+	}
+	const [scale, one, many] = n < 1e6 ? [1e3, ["mille"], "mille"] : [1e6, ["un", "million"], "millions"];
+	const k = Math.floor(n / scale);
+	const rest = n % scale;
+	// "quatre-vingt mille", "deux cent mille": no plural before "mille"
+	const count = scale === 1e3 ? mapLast(frCardinal(k), (w) => w.replace(/^(vingt|cent)s$/, "$1")) : frCardinal(k);
+	const head = k === 1 ? one : [...count, many];
+	return [...head, ...(rest ? frCardinal(rest) : [])];
+}
+
+function frCardinals(n) {
+	const readings = [frCardinal(n)];
+	if (n % 10 === 1 && n % 100 !== 11) readings.push(...variant(readings[0], { un: "une" }));
+	// Years: "dix-neuf cent quatre-vingt-quatre" for 1984
+	if (n > 1100 && n < 2000 && n % 100) {
+		readings.push([...frCardinal(Math.floor(n / 100)), "cent", ...frCardinal(n % 100)]);
+	}
+	return readings;
+}
+
+function frOrdinalWord(word) {
+	if (word === "un") return "unième";
+	if (word === "cinq") return "cinquième";
+	if (word === "neuf") return "neuvième";
+	return `${word.replace(/^(vingt|cent|million)s$/, "$1").replace(/e$/, "")}ième`;
+}
+
+function frOrdinals(n, mark) {
+	if (mark === "er") return n === 1 ? [["premier"]] : [];
+	if (mark === "re" || mark === "ère") return n === 1 ? [["première"]] : [];
+	if (mark !== "e" && mark !== "ème" && mark !== "eme") return [];
+	if (n < 2) return [];
+	const readings = [mapLast(frCardinal(n), frOrdinalWord)];
+	if (n === 2) readings.push(["second"], ["seconde"]);
+	return readings;
+}
+
+registerSpokenForms("fr", numberReader({
+	cardinals: frCardinals,
+	ordinals: frOrdinals,
+	percent: ["pour", "cent"],
+	abbreviations: {
+		m: [["monsieur"]],
+		mme: [["madame"]],
+		mlle: [["mademoiselle"]],
+		dr: [["docteur"]],
+		pr: [["professeur"]],
+		st: [["saint"]],
+		ste: [["sainte"]],
+		av: [["avenue"]],
+		bd: [["boulevard"]],
+		etc: [["et", "cetera"]],
+		km: [["kilomètres"], ["kilomètre"]],
+		cm: [["centimètres"]],
+		kg: [["kilos"], ["kilogrammes"]],
+	},
+	symbols: {
+		"&": [["et"]],
+		"+": [["plus"]],
+		"=": [["égal"], ["égale"]],
+		"@": [["arobase"]],
+		"%": [["pour", "cent"]],
+	},
+}));
+
+// German
+
+const DE_ONES = [
+	"null", "eins", "zwei", "drei", "vier", "fünf", "sechs", "sieben", "acht", "neun",
+	"zehn", "elf", "zwölf", "dreizehn", "vierzehn", "fünfzehn", "sechzehn", "siebzehn", "achtzehn", "neunzehn",
+];
+const DE_TENS = ["", "", "zwanzig", "dreißig", "vierzig", "fünfzig", "sechzig", "siebzig", "achtzig", "neunzig"];
+const DE_ORDINAL_STEMS = { 1: "erst", 3: "dritt", 7: "siebt", 8: "acht" };
+const DE_ORDINAL_ENDINGS = ["e", "en", "er", "es", "em"];
+
+// Numbers below a million are written as one word; "eins" is "ein" inside
+// it ("einundzwanzig", "einhundert")
+function deWord(n, one = "ein") {
+	if (n === 1) return one;
+	if (n < 20) return DE_ONES[n];
+	if (n < 100) {
+		const unit = n % 10;
+		const tens = DE_TENS[Math.floor(n / 10)];
+		return unit ? `${deWord(unit)}und${tens}` : tens;
+	}
+	if (n < 1000) {
+		const rest = n % 100;
+		return `${deWord(Math.floor(n / 100))}hundert${rest ? deWord(rest, "eins") : ""}`;
+	}
+	const rest = n % 1000;
+	return `${deWord(Math.floor(n / 1000))}tausend${rest ? deWord(rest, "eins") : ""}`;
+}
+
+// Readings with and without the "ein" of "einhundert" and "eintausend"
+function deWords(n, one) {
+	const word = deWord(n, one);
+	return /^ein(hundert|tausend)/.test(word) ? [word, word.slice(3)] : [word];
+}
+
+function deCardinals(n) {
+	if (n >= 1e6) {
+		const m = Math.floor(n / 1e6);
+		const rest = n % 1e6;
+		const head = m === 1 ? ["eine", "million"] : [deWord(m), "millionen"];
+		return rest ? deCardinals(rest).map((r) => [...head, ...r]) : [head];
+	}
+	const readings = deWords(n, "eins").map((w) => [w]);
+	if (n === 1) readings.push(["ein"], ["eine"]);
+	// Recognizers may split after "tausend": "zweitausend dreihundert"
+	if (n > 1000 && n % 1000) readings.push([`${deWord(Math.floor(n / 1000))}tausend`, deWord(n % 1000, "eins")]);
+	// Years: "neunzehnhundertvierundachtzig" for 1984
+	if (n > 1100 && n < 2000 && n % 100) readings.push([`${deWord(Math.floor(n / 100))}hundert${deWord(n % 100, "eins")}`]);
+	return readings;
+}
+
+function deOrdinalStem(n) {
+	const rest = n % 100;
+	// "hundertunderste" is also heard, but "hunderterste" is the usual form
+	if (n >= 100 && rest > 0 && rest < 20) return `${deWord(n - rest)}${deOrdinalStem(rest)}`;
+	if (DE_ORDINAL_STEMS[n]) return DE_ORDINAL_STEMS[n];
+	if (n < 20) return `${DE_ONES[n]}t`;
+	return `${deWord(n, "eins")}st`;
+}
+
+function deOrdinals(n, mark) {
+	if (mark !== "." || n < 1 || n >= 1e6) return [];
+	const stem = deOrdinalStem(n);
+	const stems = /^ein(hundert|tausend)/.test(stem) ? [stem, stem.slice(3)] : [stem];
+	return stems.flatMap((s) => DE_ORDINAL_ENDINGS.map((e) => [`${s}${e}`]));
+}
+
+registerSpokenForms("de", numberReader({
+	cardinals: deCardinals,
+	ordinals: deOrdinals,
+	periodOrdinals: true,
+	percent: ["prozent"],
+	abbreviations: {
+		dr: [["doktor"]],
+		hr: [["herr"]],
+		fr: [["frau"]],
+		prof: [["professor"]],
+		str: [["straße"]],
+		nr: [["nummer"]],
+		bzw: [["beziehungsweise"]],
+		usw: [["und", "so", "weiter"]],
+		ca: [["circa"], ["zirka"]],
+		km: [["kilometer"]],
+		cm: [["zentimeter"]],
+		kg: [["kilo"], ["kilogramm"]],
+		std: [["stunde"], ["stunden"]],
+		min: [["minute"], ["minuten"]],
+	},
+	symbols: {
+		"&": [["und"]],
+		"+": [["plus"]],
+		"=": [["gleich"], ["ist", "gleich"]],
+		"@": [["at"]],
+		"%": [["prozent"]],
+	},
+}));
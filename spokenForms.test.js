@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spokenReadings, isAbbreviation } from "./spokenForms.js";
+
+// Readings as strings, "forty two"
+function read(text, lang = "en", next = "") {
+	return spokenReadings(text, lang, next).map((r) => r.join(" "));
+}
+
+function accepts(text, expected, lang = "en", next = "") {
+	const readings = read(text, lang, next);
+	for (const r of expected) assert.ok(readings.includes(r), `${text} read as "${r}": ${readings.join(", ")}`);
+}
+
+test("numbers are read as words, also joined up", () => {
+	assert.deepEqual(read("42"), ["forty two", "fortytwo"]);
+	accepts("1,200", ["one thousand two hundred", "twelve hundred"]);
+	accepts("3.5", ["three point five"]);
+	assert.deepEqual(read("hello"), []);
+});
+
+test("currency amounts", () => {
+	accepts("$3.50", ["three dollars fifty cents", "three dollars and fifty cents", "three fifty"]);
+	accepts("$1", ["one dollar"]);
+	accepts("£5", ["five pounds"]);
+	accepts("10%", ["ten percent", "ten per cent"]);
+});
+
+test("times", () => {
+	accepts("7:30", ["seven thirty", "half past seven"]);
+	accepts("7:05", ["seven oh five", "five past seven"]);
+});
+
+test("ordinals, years and decades", () => {
+	accepts("21st", ["twenty first"]);
+	accepts("1999", ["nineteen ninety nine", "one thousand nine hundred and ninety nine"]);
+	accepts("2005", ["two thousand five", "two thousand and five"]);
+	accepts("1990s", ["nineteen nineties"]);
+});
+
+test("symbols, abbreviations and contractions", () => {
+	assert.deepEqual(read("&"), ["and"]);
+	assert.deepEqual(read("Dr"), ["doctor", "drive"]);
+	assert.deepEqual(read("don't"), ["do not", "donot"]);
+	assert.equal(isAbbreviation("Dr"), true);
+	assert.equal(isAbbreviation("don't"), false);
+	assert.equal(isAbbreviation("constructor"), false);
+});
+
+test("other languages read numbers, ordinals and abbreviations", () => {
+	accepts("21", ["veintiuno", "veintiún", "veintiuna"], "es");
+	accepts("1º", ["primero", "primer"], "es");
+	accepts("10%", ["dez por cento"], "pt");
+	accepts("2e", ["deuxième", "second"], "fr");
+	accepts("1er", ["premier"], "fr-CA");
+	assert.deepEqual(read("Sr", "es"), ["señor"]);
+	assert.deepEqual(read("Dr", "de"), ["doktor"]);
+});
+
+test("a German number before a period may be an ordinal", () => {
+	assert.deepEqual(read("3", "de"), ["drei"]);
+	accepts("3", ["drei", "dritte", "dritten"], "de", ".");
+});
+
+test("languages without a reader read as written", () => {
+	assert.deepEqual(read("42", "nl"), []);
+});
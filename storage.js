@@ -0,0 +1,182 @@
+// IndexedDB persistence for reading sessions, session history and the
+// passage library
+
+const DB_NAME = "reading-practice";
+const DB_VERSION = 4;
+const SESSIONS_STORE = "sessions"; // in-progress session per passage
+const SESSION_WORDS_STORE = "sessionWords"; // its marked words, one record each
+const HISTORY_STORE = "history"; // finished sessions
+const PASSAGES_STORE = "passages"; // passage library
+
+let dbPromise = null;
+
+function openDB() {
+	if (dbPromise) return dbPromise;
+	dbPromise = new Promise((resolve, reject) => {
+		if (typeof indexedDB === "undefined") {
+			reject(new Error("IndexedDB is not available"));
+			return;
+		}
+		const req = indexedDB.open(DB_NAME, DB_VERSION);
+		req.onupgradeneeded = () => {
+			const db = req.result;
+			if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+				db.createObjectStore(SESSIONS_STORE, { keyPath: "key" });
+			}
+			if (!db.objectStoreNames.contains(SESSION_WORDS_STORE)) {
+				db.createObjectStore(SESSION_WORDS_STORE, { keyPath: ["key", "index"] });
+			}
+			if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+				const history = db.createObjectStore(HISTORY_STORE, {
+					keyPath: "id",
+					autoIncrement: true,
+				});
+				history.createIndex("passageKey", "passageKey");
+				history.createIndex("reader", "reader");
+			}
+			// Sessions started from the library point back to their passage
+			const sessions = req.transaction.objectStore(HISTORY_STORE);
+			if (!sessions.indexNames.contains("passageId")) sessions.createIndex("passageId", "passageId");
+			if (!db.objectStoreNames.contains(PASSAGES_STORE)) {
+				const passages = db.createObjectStore(PASSAGES_STORE, {
+					keyPath: "id",
+					autoIncrement: true,
+				});
+				passages.createIndex("textKey", "textKey");
+				passages.createIndex("level", "level");
+			}
+		};
+		req.onsuccess = () => resolve(req.result);
+		req.onerror = () => reject(req.error);
+	}).catch((err) => {
+		// Allow a later call to retry opening the database
+		dbPromise = null;
+		throw err;
+	});
+	return dbPromise;
+}
+
+// Run a single request against one object store and resolve with its result
+// once the transaction has completed.
+async function withStore(storeName, mode, fn) {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeName, mode);
+		const req = fn(tx.objectStore(storeName));
+		tx.oncomplete = () => resolve(req ? req.result : undefined);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
+
+/**
+ * Stable key for a passage: FNV-1a hash of the text plus its length.
+ * Synchronous so it can be computed while tokens are loaded.
+ */
+export function hashText(text) {
+	let h = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		h ^= text.charCodeAt(i);
+		h = Math.imul(h, 0x01000193);
+	}
+	return `${text.length.toString(36)}-${(h >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+// Run requests against several object stores in one transaction, resolving
+// with the result of the last request once it has completed
+async function withStores(storeNames, mode, fn) {
+	const db = await openDB();
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(storeNames, mode);
+		const req = fn(...storeNames.map((name) => tx.objectStore(name)));
+		tx.oncomplete = () => resolve(req ? req.result : undefined);
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
+
+// The word records of one session
+function sessionWordRange(key) {
+	return IDBKeyRange.bound([key, 0], [key, Infinity]);
+}
+
+/**
+ * Save an in-progress session. Sessions are keyed by the passage hash so
+ * there is at most one resumable session per passage. Words are stored
+ * one record each, so a save writes only the words that changed.
+ * @param {Object} session - { key, tokenCount, pointer, elapsedMs, sessionActive, decisions }
+ * @param {Array<Object>} words - { index, status, title, heard, attempt, miscues, readAt, note }
+ *   of the words changed since the last save
+ * @param {boolean} [replace] - drop the words saved before, e.g. after a reset
+ */
+export function saveActiveSession(session, words, replace = false) {
+	return withStores([SESSIONS_STORE, SESSION_WORDS_STORE], "readwrite", (sessions, stored) => {
+		if (replace) stored.delete(sessionWordRange(session.key));
+		for (const word of words) stored.put({ ...word, key: session.key });
+		return sessions.put({ ...session, savedAt: Date.now() });
+	});
+}
+
+/**
+ * @returns {Promise<Object|undefined>} - the saved session with its saved `words`
+ */
+export async function loadActiveSession(key) {
+	let words;
+	const session = await withStores([SESSIONS_STORE, SESSION_WORDS_STORE], "readonly", (sessions, stored) => {
+		words = stored.getAll(sessionWordRange(key));
+		return sessions.get(key);
+	});
+	return session && { ...session, words: words.result.map(({ key: _key, ...word }) => word) };
+}
+
+export function clearActiveSession(key) {
+	return withStores([SESSIONS_STORE, SESSION_WORDS_STORE], "readwrite", (sessions, stored) => {
+		stored.delete(sessionWordRange(key));
+		return sessions.delete(key);
+	});
+}
+
+/**
+ * Store a finished session in the history.
+ * @param {Object} record - { passageKey, passagePreview, reader, startedAt, finishedAt,
+ *   complete, total, completed, correct, incorrect, skipped, selfCorrected, insertions,
+ *   repetitions, accuracy, wpm, elapsedSec, probe, words }
+ * @returns {Promise<number>} - id of the stored record
+ */
+export function addSessionRecord(record) {
+	return withStore(HISTORY_STORE, "readwrite", (store) => store.add(record));
+}
+
+// Replace a stored record (one with an id), e.g. after its marks were corrected
+export function updateSessionRecord(record) {
+	return withStore(HISTORY_STORE, "readwrite", (store) => store.put(record));
+}
+
+export function listSessionRecords() {
+	return withStore(HISTORY_STORE, "readonly", (store) => store.getAll());
+}
+
+export function deleteSessionRecord(id) {
+	return withStore(HISTORY_STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Add or update (when it has an id) a library passage.
+ * @param {Object} passage - { id?, title, source, level, tags, text, textKey, wordCount, addedAt }
+ * @returns {Promise<number>} - id of the stored passage
+ */
+export function savePassage(passage) {
+	return withStore(PASSAGES_STORE, "readwrite", (store) => store.put(passage));
+}
+
+export function getPassage(id) {
+	return withStore(PASSAGES_STORE, "readonly", (store) => store.get(id));
+}
+
+export function listPassages() {
+	return withStore(PASSAGES_STORE, "readonly", (store) => store.getAll());
+}
+
+export function deletePassage(id) {
+	return withStore(PASSAGES_STORE, "readwrite", (store) => store.delete(id));
+}
@@ -0,0 +1,148 @@
+// Per-word timing: inter-word latency, hesitations and reading rate
+
+export const DEFAULT_HESITATION_MS = 3000;
+
+/**
+ * Analysis of the approximate read times stored on word tokens (`readAt`),
+ * kept up to date as words change so a book-length text is not rescanned on
+ * every mark. Latency is the time since the previous timed word, or since
+ * the session start for the first word. Words without a time (skipped,
+ * pending) are ignored. touch(idx) notes a changed word; current() catches up.
+ */
+export class TimingTracker {
+	constructor(tokens = [], startedAtMs = null, sentences = [], hesitationMs = DEFAULT_HESITATION_MS) {
+		this.reset(tokens, startedAtMs, sentences, hesitationMs);
+	}
+
+	// Analyse every word again, e.g. for a new text or session
+	reset(tokens, startedAtMs, sentences, hesitationMs) {
+		this.tokens = tokens;
+		this.startedAtMs = startedAtMs;
+		this.sentences = sentences;
+		this.hesitationMs = hesitationMs;
+		this.timed = []; // indices of timed words, in text order
+		tokens.forEach((t, idx) => {
+			if (isTimed(t)) this.timed.push(idx);
+		});
+		this.latencies = new Map();
+		this._hesitations = new Set();
+		this._sum = 0; // of all latencies
+		this._changed = new Set();
+		for (const idx of this.timed) this._updateLatency(idx);
+		this.sentenceRates = sentences.map((s) => this._rate(s));
+	}
+
+	setHesitationMs(hesitationMs) {
+		this.hesitationMs = hesitationMs;
+		this._hesitations = new Set();
+		for (const [idx, latency] of this.latencies) {
+			if (latency >= hesitationMs) this._hesitations.add(idx);
+		}
+	}
+
+	touch(idx) {
+		this._changed.add(idx);
+	}
+
+	/**
+	 * @returns {{ latencies: Map<number, number>, hesitations: number[],
+	 *   meanLatencyMs: number, sentenceRates: Array<{ id, words, minutes, wpm }> }}
+	 */
+	current() {
+		if (this._changed.size) this._catchUp();
+		// The wait before the first word is not an inter-word latency
+		const first = this.latencies.get(this.timed[0]) ?? 0;
+		const count = this.timed.length - 1;
+		return {
+			latencies: this.latencies,
+			hesitations: [...this._hesitations].sort((a, b) => a - b),
+			meanLatencyMs: count > 0 ? (this._sum - first) / count : NaN,
+			sentenceRates: this.sentenceRates,
+		};
+	}
+
+	_catchUp() {
+		const changed = [...this._changed];
+		this._changed.clear();
+		for (const idx of changed) {
+			const k = lowerBound(this.timed, idx);
+			const listed = this.timed[k] === idx;
+			if (listed && !isTimed(this.tokens[idx])) this.timed.splice(k, 1);
+			else if (!listed && isTimed(this.tokens[idx])) this.timed.splice(k, 0, idx);
+		}
+		// A word's time sets its own latency and that of the next timed word,
+		// and the rates of the sentences they are in
+		const sentences = new Set();
+		for (const idx of changed) {
+			const next = this.timed[lowerBound(this.timed, idx + 1)];
+			for (const i of next === undefined ? [idx] : [idx, next]) {
+				this._updateLatency(i);
+				const s = this._sentenceAt(i);
+				if (s >= 0) sentences.add(s);
+			}
+		}
+		for (const s of sentences) this.sentenceRates[s] = this._rate(this.sentences[s]);
+	}
+
+	_updateLatency(idx) {
+		const before = this.latencies.get(idx);
+		if (before !== undefined) {
+			this._sum -= before;
+			this.latencies.delete(idx);
+			this._hesitations.delete(idx);
+		}
+		const k = lowerBound(this.timed, idx);
+		if (this.timed[k] !== idx) return;
+		const prevTime = k > 0 ? this.tokens[this.timed[k - 1]].readAt : this.startedAtMs;
+		if (!prevTime) return;
+		// Rereads can put words out of time order
+		const latency = Math.max(0, this.tokens[idx].readAt - prevTime);
+		this.latencies.set(idx, latency);
+		this._sum += latency;
+		if (latency >= this.hesitationMs) this._hesitations.add(idx);
+	}
+
+	// Words per minute within a sentence, measured from the previous timed word
+	_rate(s) {
+		let k = lowerBound(this.timed, s.startIndex);
+		const before = k > 0 ? this.tokens[this.timed[k - 1]].readAt : this.startedAtMs;
+		let words = 0;
+		let end = null;
+		for (; k < this.timed.length && this.timed[k] <= s.endIndex; k++) {
+			words++;
+			end = this.tokens[this.timed[k]].readAt;
+		}
+		const minutes = before && end != null ? (end - before) / 60000 : 0;
+		return { id: s.id, words, minutes, wpm: minutes > 0 ? words / minutes : NaN };
+	}
+
+	// Position of the sentence holding the token at idx, or -1
+	_sentenceAt(idx) {
+		let lo = 0;
+		let hi = this.sentences.length - 1;
+		while (lo <= hi) {
+			const mid = (lo + hi) >> 1;
+			const s = this.sentences[mid];
+			if (idx < s.startIndex) hi = mid - 1;
+			else if (idx > s.endIndex) lo = mid + 1;
+			else return mid;
+		}
+		return -1;
+	}
+}
+
+function isTimed(t) {
+	return !!t && t.isWord && Number.isFinite(t.readAt);
+}
+
+// First position in the sorted array holding a value >= value
+function lowerBound(sorted, value) {
+	let lo = 0;
+	let hi = sorted.length;
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (sorted[mid] < value) lo = mid + 1;
+		else hi = mid;
+	}
+	return lo;
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, computeSentences } from "./tokenize.js";
+import { TimingTracker } from "./timing.js";
+
+const START = 1_000_000;
+
+function session(text, times) {
+	const tokens = tokenize(text);
+	const idx = tokens.flatMap((t, i) => (t.isWord ? [i] : []));
+	times.forEach((time, k) => {
+		if (time != null) tokens[idx[k]].readAt = START + time;
+	});
+	return { tokens, idx, sentences: computeSentences(tokens) };
+}
+
+test("latencies run from the previous timed word, skipping untimed ones", () => {
+	const { tokens, idx, sentences } = session("one two three four", [1000, 1500, null, 5000]);
+	const timing = new TimingTracker(tokens, START, sentences).current();
+	assert.deepEqual([...timing.latencies], [
+		[idx[0], 1000],
+		[idx[1], 500],
+		[idx[3], 3500],
+	]);
+	assert.deepEqual(timing.hesitations, [idx[3]]);
+	// The wait before the first word is left out of the mean
+	assert.equal(timing.meanLatencyMs, 2000);
+});
+
+test("sentence rates are measured from the word before the sentence", () => {
+	const { tokens, sentences } = session("One two. Three four.", [0, 30000, 60000, 90000]);
+	const timing = new TimingTracker(tokens, START, sentences).current();
+	assert.deepEqual(
+		timing.sentenceRates.map((r) => [r.words, r.wpm]),
+		[
+			[2, 4],
+			[2, 2],
+		]
+	);
+});
+
+test("touched words update latencies, hesitations and rates like a full recount", () => {
+	const { tokens, idx, sentences } = session("One two. Three four.", [1000, 2000, 3000, 4000]);
+	const tracker = new TimingTracker(tokens, START, sentences);
+	delete tokens[idx[1]].readAt;
+	tokens[idx[3]].readAt = START + 9000;
+	tracker.touch(idx[1]);
+	tracker.touch(idx[3]);
+	const timing = tracker.current();
+	const fresh = new TimingTracker(tokens, START, sentences).current();
+	assert.deepEqual([...timing.latencies].sort((a, b) => a[0] - b[0]), [...fresh.latencies].sort((a, b) => a[0] - b[0]));
+	assert.deepEqual(timing.hesitations, fresh.hesitations);
+	assert.equal(timing.meanLatencyMs, fresh.meanLatencyMs);
+	assert.deepEqual(timing.sentenceRates, fresh.sentenceRates);
+	assert.equal(timing.latencies.get(idx[2]), 2000);
+	assert.deepEqual(timing.hesitations, [idx[3]]);
+});
+
+test("a new hesitation threshold applies to known latencies", () => {
+	const { tokens, idx, sentences } = session("one two three", [1000, 2500, 3000]);
+	const tracker = new TimingTracker(tokens, START, sentences);
+	assert.deepEqual(tracker.current().hesitations, []);
+	tracker.setHesitationMs(1000);
+	assert.deepEqual(tracker.current().hesitations, [idx[0], idx[1]]);
+});
@@ -0,0 +1,270 @@
+// Reader view that stays fast on book-length texts. Tokens are grouped into
+// blocks, and only blocks on screen (plus a buffer) hold word spans; the rest
+// are empty placeholders of their measured or estimated height. Spans are
+// indexed by token, so updates never search the DOM.
+import { wordTitle } from "./ui.js";
+
+const BLOCK_TOKENS = 400; // a block ends at the next paragraph break after this many tokens
+const MAX_BLOCK_TOKENS = 1200; // ... or at a sentence end after this many, for long paragraphs
+const BUFFER_PX = 1000; // rendered above and below the visible region
+const DEFAULT_PX_PER_CHAR = 0.5; // height estimate until a block has been measured
+
+const STATUS_CLASSES = [
+	"pending",
+	"current",
+	"correct",
+	"incorrect",
+	"skipped",
+	"selfcorrected",
+	"told",
+	"unsure",
+];
+
+export class TokenView {
+	/**
+	 * @param {HTMLElement} container element the blocks are rendered into
+	 * @param {HTMLElement} scroller scrolling ancestor of the container
+	 */
+	constructor(container, scroller = container) {
+		this.container = container;
+		this.scroller = scroller;
+		this.tokens = [];
+		// Each block's height is what it takes up in the page: measured while
+		// mounted, kept while empty, or estimated if it was never on screen
+		this.blocks = []; // { start, end, chars, height, measured, el, mounted }
+		this.spans = []; // token index → span while its block is mounted
+		this.current = -1;
+		this.marks = new Map(); // class name → Set of token indices
+		this._measuredPx = 0;
+		this._measuredChars = 0;
+		this._ratio = DEFAULT_PX_PER_CHAR; // height per character of the estimates
+		this._frame = 0;
+		scroller.addEventListener("scroll", () => this._schedule(), { passive: true });
+		// Widths change line wrapping; showing a hidden pane gives it a size
+		if (typeof ResizeObserver !== "undefined") {
+			new ResizeObserver(() => {
+				// Estimates keep the previous ratio until blocks are measured again
+				this._measuredPx = this._measuredChars = 0;
+				for (const b of this.blocks) {
+					b.measured = false;
+					if (b.mounted) this._measure(b);
+				}
+				this._schedule();
+			}).observe(scroller);
+		}
+	}
+
+	/** Replace the text shown; nothing is rendered until it is scrolled to. */
+	setTokens(tokens) {
+		this.tokens = tokens;
+		this.spans = new Array(tokens.length);
+		this.current = -1;
+		this.marks.clear();
+		this.blocks = splitBlocks(tokens);
+		this._measuredPx = this._measuredChars = 0;
+		this._ratio = DEFAULT_PX_PER_CHAR;
+		const frag = document.createDocumentFragment();
+		for (const b of this.blocks) {
+			b.el = document.createElement("div");
+			b.el.className = "token-block";
+			this._setHeight(b, this._estimate(b));
+			frag.appendChild(b.el);
+		}
+		this.container.replaceChildren(frag);
+		this.scroller.scrollTop = 0;
+		this._update();
+	}
+
+	/** Render every word again from its token, e.g. after all were reset. */
+	redraw() {
+		for (const b of this.blocks) if (b.mounted) this._fill(b);
+	}
+
+	/** Show a word's status, title and miscue marks from its token. */
+	update(idx) {
+		const span = this.spans[idx];
+		if (span) this._paint(span, idx);
+	}
+
+	/** Outline the word at idx (-1 for none) and scroll it to the middle. */
+	setCurrent(idx) {
+		this.spans[this.current]?.classList.remove("current");
+		this.current = idx;
+		if (idx < 0 || !this.tokens[idx]) return;
+		let span = this.spans[idx];
+		// A word far away is scrolled to at once; smooth scrolling over
+		// estimated placeholders would keep missing it
+		const far = !span;
+		if (far) {
+			this._mount(this.blocks[blockIndex(this.blocks, idx)]);
+			span = this.spans[idx];
+		}
+		span.classList.add("current");
+		span.scrollIntoView({ block: "center", behavior: far ? "auto" : "smooth" });
+	}
+
+	/** Give exactly the words at `indices` the class `name`. */
+	setMarked(name, indices) {
+		for (const idx of this.marks.get(name) || []) this.spans[idx]?.classList.remove(name);
+		const set = new Set(indices);
+		if (set.size) this.marks.set(name, set);
+		else this.marks.delete(name);
+		for (const idx of set) this.spans[idx]?.classList.add(name);
+	}
+
+	_schedule() {
+		if (this._frame) return;
+		this._frame = requestAnimationFrame(() => {
+			this._frame = 0;
+			this._update();
+		});
+	}
+
+	// Mount the blocks near the visible region and empty the others. Blocks
+	// above the viewport that change height move the scroll position by as
+	// much, so the text on screen stays put. Estimates follow the measured
+	// height per character once it has moved by a tenth.
+	_update() {
+		const viewHeight = this.scroller.clientHeight;
+		if (!viewHeight) {
+			// Hidden, or no layout: keep at least the text around the pointer
+			if (!this.blocks.some((b) => b.mounted)) this._mountAround(this.current);
+			return;
+		}
+		const offset =
+			this.container.getBoundingClientRect().top -
+			this.scroller.getBoundingClientRect().top +
+			this.scroller.scrollTop;
+		const top = this.scroller.scrollTop - offset;
+		const ratio = this._measuredChars ? this._measuredPx / this._measuredChars : this._ratio;
+		const reestimate = Math.abs(ratio - this._ratio) > this._ratio / 10;
+		if (reestimate) this._ratio = ratio;
+		let y = 0;
+		let shift = 0;
+		for (const b of this.blocks) {
+			const before = b.height;
+			const near = y + before >= top - BUFFER_PX && y <= top + viewHeight + BUFFER_PX;
+			if (near && !b.mounted) this._mount(b);
+			else if (!near && b.mounted) this._unmount(b);
+			else if (reestimate && !b.mounted && !b.measured) this._setHeight(b, this._estimate(b));
+			if (y < top) shift += b.height - before;
+			y += b.height;
+		}
+		if (shift) this.scroller.scrollTop += shift;
+	}
+
+	_mountAround(idx) {
+		const i = blockIndex(this.blocks, Math.max(0, idx));
+		for (const b of this.blocks.slice(Math.max(0, i - 1), i + 2)) this._mount(b);
+	}
+
+	_mount(b) {
+		if (!b || b.mounted) return;
+		b.mounted = true;
+		this._fill(b);
+		b.el.style.height = "";
+		this._measure(b);
+	}
+
+	_unmount(b) {
+		this._measure(b);
+		b.mounted = false;
+		for (let i = b.start; i <= b.end; i++) this.spans[i] = undefined;
+		b.el.replaceChildren();
+		this._setHeight(b, b.height);
+	}
+
+	// Without layout (hidden pane) a block keeps its previous height
+	_measure(b) {
+		const h = b.el.offsetHeight;
+		if (!h) return;
+		b.height = h;
+		if (!b.measured) {
+			b.measured = true;
+			this._measuredPx += h;
+			this._measuredChars += b.chars;
+		}
+	}
+
+	_setHeight(b, px) {
+		b.height = px;
+		b.el.style.height = `${px}px`;
+	}
+
+	_estimate(b) {
+		return Math.max(1, Math.round(b.chars * this._ratio));
+	}
+
+	_fill(b) {
+		const frag = document.createDocumentFragment();
+		for (let i = b.start; i <= b.end; i++) {
+			const t = this.tokens[i];
+			const span = document.createElement("span");
+			span.dataset.index = String(i);
+			if (t.isWord) this._paint(span, i);
+			else span.className = "token sep";
+			span.textContent = t.text;
+			this.spans[i] = span;
+			frag.appendChild(span);
+		}
+		b.el.replaceChildren(frag);
+	}
+
+	_paint(span, idx) {
+		const t = this.tokens[idx];
+		span.className = `token word ${STATUS_CLASSES.includes(t.status) ? t.status : "pending"}`;
+		if (idx === this.current) span.classList.add("current");
+		for (const [name, set] of this.marks) if (set.has(idx)) span.classList.add(name);
+		span.title = wordTitle(t);
+		applyMiscueMarks(span, t.miscues);
+	}
+}
+
+// Blocks end on paragraph breaks where possible, so splitting them does not
+// change how the text wraps
+function splitBlocks(tokens) {
+	const blocks = [];
+	let start = 0;
+	let chars = 0;
+	for (let i = 0; i < tokens.length; i++) {
+		const t = tokens[i];
+		chars += t.text.length;
+		const size = i - start + 1;
+		const end =
+			i === tokens.length - 1 ||
+			(!t.isWord &&
+				((size >= BLOCK_TOKENS && t.text.includes("\n")) ||
+					(size >= MAX_BLOCK_TOKENS && /[.!?]/.test(t.text)) ||
+					size >= 2 * MAX_BLOCK_TOKENS));
+		if (end) {
+			blocks.push({ start, end: i, chars, height: 0, measured: false, el: null, mounted: false });
+			start = i + 1;
+			chars = 0;
+		}
+	}
+	return blocks;
+}
+
+// Block holding token idx, by binary search over block starts
+function blockIndex(blocks, idx) {
+	let lo = 0;
+	let hi = blocks.length - 1;
+	while (lo < hi) {
+		const mid = (lo + hi + 1) >> 1;
+		if (blocks[mid].start <= idx) lo = mid;
+		else hi = mid - 1;
+	}
+	return lo;
+}
+
+// Insertions (^word) and repetitions (R) are shown in the gap before a word,
+// or after the last word when they happen at the end of the text
+function applyMiscueMarks(el, miscues) {
+	const label = (m) => (m.type === "repetition" ? "R" : `^${m.words.join(" ")}`);
+	const before = (miscues || []).filter((m) => m.where !== "after").map(label);
+	const after = (miscues || []).filter((m) => m.where === "after").map(label);
+	if (before.length) el.dataset.before = before.join(" ");
+	else delete el.dataset.before;
+	if (after.length) el.dataset.after = after.join(" ");
+	else delete el.dataset.after;
+}
@@ -1,5 +1,6 @@
 // Tokenizer and normalization for M1
-import { doubleMetaphone } from "double-metaphone";
+import { isAbbreviation, spokenReadings } from "./spokenForms.js";
+import { phoneticEncoder } from "./phonetics.js";
 
 /**
  * Preprocess text to join hyphenated words split across line breaks
@@ -39,45 +40,61 @@ export function normalizeWord(w) {
   // Remove leading/trailing punctuation
   const stripped = lower.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
   // Collapse various apostrophes and hyphens inside words
-  // Handle: ', ', `, ´, -, –, —, −
-  const collapsed = stripped.replace(/[''`´-–—−]/g, "");
+  // Handle: ', ’, ‘, `, ´, ‐, –, —, −, - (accents are kept; matching folds them)
+  const collapsed = stripped.replace(/['’‘`´‐–—−-]/g, "");
   return collapsed;
 }
 
 /**
  * Tokenize text into an array of tokens preserving separators.
- * Tokens: { id, text, norm, isWord, status }
+ * Tokens: { id, text, norm, isWord, status, readings?, contraction?, abbreviation? }
  * 
  * The tokenizer handles:
  * - Hyphenated words split across line breaks (joined during preprocessing)
  * - Various Unicode apostrophes and hyphens inside words
+ * - Numbers with currency, percent, ordinal and decade suffixes, decimals,
+ *   thousands separators and times ("$3.50", "10%", "21st", "1º", "2e",
+ *   "1990s", "7:30")
+ * - Standalone symbols read aloud ("&", "+", "=", "@", "%")
  * - Normalization for consistent matching
+ * 
+ * Tokens that are read differently from how they are written get `readings`,
+ * the accepted spoken forms in `lang` (see spokenForms.js), and are flagged
+ * as a `contraction` or an `abbreviation` when they are one. Phonetic codes
+ * come from the encoder for `lang` (see phonetics.js).
  */
-export function tokenize(text) {
+export function tokenize(text, { lang = "en" } = {}) {
   const tokens = [];
   if (!text) return tokens;
 
   // Preprocess to join hyphenated words split across lines
   // This ensures "under-\nstanding" becomes a single token "understanding"
   const preprocessedText = preprocessHyphenatedWords(text);
+  const encode = phoneticEncoder(lang);
 
   // Split on word boundaries but keep separators
   // Updated regex to handle various apostrophes and hyphens inside words
-  // Match words (letters with optional internal apostrophes/hyphens) or numbers
-  const re = /([\p{L}]+(?:[''`´-–—−][\p{L}]+)*|\d+)|([^\p{L}\d]+)/gu;
+  // Match words (letters with optional internal apostrophes/hyphens), numbers
+  // with their symbols and suffixes, or standalone symbols
+  const re = /([\p{L}]+(?:['’‘`´‐–—−-][\p{L}]+)*|[$£€]?\d+(?:,\d{3})*(?:[.:]\d+)?(?:(?:%|st|nd|rd|th|s|[ºª]|ème|eme|ère|er|re|e)(?!\p{L}))?|(?<=^|\s)[&+=@%](?=\s|$))|((?:(?![$£€]\d)(?!(?<=^|\s)[&+=@%](?=\s|$))[^\p{L}\d])+)/gu;
   let id = 0;
   let match;
   while ((match = re.exec(preprocessedText)) !== null) {
     const [full, word, sep] = match;
     if (word !== undefined) {
-      const norm = normalizeWord(word);
+      // Symbols have no letters or digits to keep
+      const norm = normalizeWord(word) || word;
       // Precompute phonetic codes (primary, secondary)
-      let phonetic = ["", ""];
-      try {
-        const codes = doubleMetaphone(norm);
-        if (Array.isArray(codes)) phonetic = [codes[0] || "", codes[1] || ""];
-      } catch (_) {}
-      tokens.push({ id: id++, text: word, norm, isWord: true, status: "pending", phonetic });
+      const phonetic = encode(norm);
+      const token = { id: id++, text: word, norm, isWord: true, status: "pending", phonetic };
+      const readings = spokenReadings(word, lang, preprocessedText[re.lastIndex] || "");
+      if (readings.length) {
+        token.readings = readings;
+        // Read as more than one word but written as one ("don't", "Dr")
+        if (/\p{L}['’‘`´]\p{L}/u.test(word)) token.contraction = true;
+        else if (isAbbreviation(word, lang)) token.abbreviation = true;
+      }
+      tokens.push(token);
     } else if (sep !== undefined) {
       tokens.push({ id: id++, text: sep, norm: "", isWord: false, status: "sep" });
     }
@@ -105,7 +122,15 @@ export function prevWordIndex(tokens, fromIndex) {
 
 export function resetWordStatuses(tokens) {
   for (const t of tokens) {
-    if (t.isWord) t.status = "pending";
+    if (t.isWord) {
+      t.status = "pending";
+      delete t.title;
+      delete t.heard;
+      delete t.attempt;
+      delete t.miscues;
+      delete t.readAt;
+      delete t.note;
+    }
   }
 }
 
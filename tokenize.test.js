@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeWord, tokenize } from "./tokenize.js";
+
+test("accented letters are kept in the normalized word", () => {
+	assert.equal(normalizeWord("Niño"), "niño");
+	assert.equal(normalizeWord("Straße"), "straße");
+	assert.equal(normalizeWord("São"), "são");
+	assert.equal(normalizeWord("Ação,"), "ação");
+	assert.equal(normalizeWord("Müller"), "müller");
+});
+
+test("apostrophes and dashes inside a word are collapsed", () => {
+	assert.equal(normalizeWord("don't"), "dont");
+	assert.equal(normalizeWord("don’t"), "dont");
+	assert.equal(normalizeWord("co-operate"), "cooperate");
+	assert.equal(normalizeWord("self–contained"), "selfcontained");
+	assert.equal(normalizeWord("re—evaluate"), "reevaluate");
+});
+
+test("a word with a curly apostrophe is one token", () => {
+	const words = tokenize("I don’t know São Paulo.").filter((t) => t.isWord);
+	assert.deepEqual(words.map((t) => t.norm), ["i", "dont", "know", "são", "paulo"]);
+});
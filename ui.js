@@ -1,51 +1,11 @@
 // UI rendering and interactions for M1
+import { formatRatio } from "./runningRecord.js";
+import { renderBarChart } from "./dashboard.js";
 
-const STATUS_CLASSES = [
-	"pending",
-	"current",
-	"correct",
-	"incorrect",
-	"skipped",
-];
-
-export function renderTokens(tokens, container) {
-	container.innerHTML = "";
-	const frag = document.createDocumentFragment();
-	for (let i = 0; i < tokens.length; i++) {
-		const t = tokens[i];
-		const span = document.createElement("span");
-		span.className = `token ${t.isWord ? "word" : "sep"}`;
-		span.textContent = t.text;
-		span.dataset.index = String(i);
-		if (t.isWord) {
-			span.classList.add(t.status);
-			span.title = `Word ${t.id + 1}`;
-		}
-		frag.appendChild(span);
-	}
-	container.appendChild(frag);
-}
-
-export function updateCurrentPointer(tokens, container, pointerIndex) {
-	// Remove existing current
-	container
-		.querySelectorAll(".token.word.current")
-		.forEach((el) => el.classList.remove("current"));
-	if (pointerIndex < 0) return;
-	const el = container.querySelector(
-		`.token.word[data-index="${pointerIndex}"]`
-	);
-	if (el) {
-		el.classList.add("current");
-		el.scrollIntoView({ block: "center", behavior: "smooth" });
-	}
-}
-
-export function updateTokenStatus(container, tokenIndex, newStatus) {
-	const el = container.querySelector(`.token.word[data-index="${tokenIndex}"]`);
-	if (!el) return;
-	for (const c of STATUS_CLASSES) el.classList.remove(c);
-	el.classList.add(newStatus);
+// Aligner detail (or the word number) followed by the teacher's note
+export function wordTitle(t) {
+	const title = t.title || `Word ${t.id + 1}`;
+	return t.note ? `${title}\nNote: ${t.note}` : title;
 }
 
 export function bindTokenJump(container, onJump) {
@@ -58,6 +18,92 @@ export function bindTokenJump(container, onJump) {
 	});
 }
 
+// Right-click (or long-press) on a word opens the word menu
+export function bindTokenMenu(container, onOpen) {
+	container.addEventListener("contextmenu", (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (!target.classList.contains("word")) return;
+		const idx = Number(target.dataset.index || -1);
+		if (idx < 0) return;
+		e.preventDefault();
+		onOpen(idx, e.clientX, e.clientY);
+	});
+}
+
+export function showWordMenu(x, y, { text, status, note }) {
+	const menu = document.getElementById("wordMenu");
+	if (!menu) return;
+	document.getElementById("wordMenuTitle").textContent = text;
+	for (const btn of menu.querySelectorAll("button[data-status]")) {
+		btn.classList.toggle("active", btn.dataset.status === status);
+	}
+	const input = document.getElementById("wordMenuNote");
+	input.value = note || "";
+	menu.classList.remove("hidden");
+	// Keep the menu inside the viewport
+	const { width, height } = menu.getBoundingClientRect();
+	menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width))}px`;
+	menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height))}px`;
+	input.focus();
+}
+
+export function hideWordMenu() {
+	const menu = document.getElementById("wordMenu");
+	if (menu) menu.classList.add("hidden");
+}
+
+/**
+ * Word menu actions: onStatus(status, note) when a mark is chosen,
+ * onNote(note) when only the note is saved (button or Enter).
+ */
+export function bindWordMenu({ onStatus, onNote }) {
+	const menu = document.getElementById("wordMenu");
+	if (!menu) return;
+	const input = document.getElementById("wordMenuNote");
+	const note = () => input.value.trim();
+	menu.addEventListener("click", (e) => {
+		const btn = e.target instanceof HTMLElement ? e.target.closest("button") : null;
+		if (!btn) return;
+		if (btn.dataset.status) onStatus(btn.dataset.status, note());
+		else if (btn.id === "wordMenuSaveBtn") onNote(note());
+		else if (btn.id === "wordMenuCloseBtn") hideWordMenu();
+	});
+	input.addEventListener("keydown", (e) => {
+		if (e.key === "Enter") {
+			e.preventDefault();
+			onNote(note());
+		} else if (e.key === "Escape") {
+			hideWordMenu();
+		}
+	});
+	// Clicking elsewhere closes the menu
+	document.addEventListener("mousedown", (e) => {
+		if (!menu.classList.contains("hidden") && !menu.contains(e.target)) hideWordMenu();
+	});
+}
+
+// Chapters and sections of an imported document, indented by heading
+// level; hidden unless there is more than one to choose from
+export function renderSectionOptions(sections) {
+	const select = document.getElementById("sectionSelect");
+	if (!select) return;
+	select.innerHTML = "";
+	const top = Math.min(...sections.map((s) => s.level));
+	const whole = document.createElement("option");
+	whole.value = "-1";
+	whole.textContent = "Whole document";
+	select.appendChild(whole);
+	sections.forEach((s, i) => {
+		const option = document.createElement("option");
+		option.value = String(i);
+		option.textContent = `${"\u00a0\u00a0".repeat(s.level - top)}${s.title}`;
+		select.appendChild(option);
+	});
+	select.value = "-1";
+	select.classList.toggle("hidden", sections.length < 2);
+}
+
 export function setControlsEnabled(enabled) {
 	for (const id of [
 		"startBtn",
@@ -66,11 +112,13 @@ export function setControlsEnabled(enabled) {
 		"skipBtn",
 		"incorrectBtn",
 		"correctBtn",
+		"toldBtn",
 		"micStartBtn",
 		"micStopBtn",
-		"langSelect",
 		"lookahead",
 		"threshold",
+		"exportBtn",
+		"probeStartBtn",
 	]) {
 		const el = document.getElementById(id);
 		if (el) el.disabled = !enabled;
@@ -83,6 +131,9 @@ export function updateMetricsView({
 	completed,
 	total,
 	elapsedSec,
+	selfCorrected = 0,
+	insertions = 0,
+	repetitions = 0,
 }) {
 	const fmtAcc = isFinite(accuracy) ? `${(accuracy * 100).toFixed(0)}%` : "–";
 	const fmtWpm = isFinite(wpm) ? `${wpm.toFixed(0)}` : "–";
@@ -93,11 +144,113 @@ export function updateMetricsView({
 		0,
 		Math.floor(elapsedSec)
 	)}s`;
+	const miscues = document.getElementById("mMiscues");
+	if (miscues)
+		miscues.textContent = `SC ${selfCorrected} · Ins ${insertions} · Rep ${repetitions}`;
+}
+
+export function renderRunningRecord(record) {
+	const container = document.getElementById("runningRecordLines");
+	if (!container) return;
+	container.innerHTML = "";
+	const frag = document.createDocumentFragment();
+	for (const cells of record.lines) {
+		const line = document.createElement("div");
+		line.className = "rr-line";
+		for (const c of cells) {
+			const cell = document.createElement("span");
+			cell.className = `rr-cell ${c.kind}`;
+			const said = document.createElement("span");
+			said.className = "rr-said";
+			said.textContent = c.said;
+			if (c.note) {
+				const note = document.createElement("sup");
+				note.textContent = c.note;
+				said.appendChild(note);
+			}
+			const text = document.createElement("span");
+			text.className = "rr-text";
+			text.textContent = c.text;
+			cell.append(said, text);
+			line.appendChild(cell);
+		}
+		frag.appendChild(line);
+	}
+	container.appendChild(frag);
+	const summary = document.getElementById("runningRecordSummary");
+	if (summary) {
+		const acc = isFinite(record.accuracyRate) ? `${record.accuracyRate.toFixed(0)}%` : "–";
+		summary.textContent = `Accuracy ${acc} · Error rate ${formatRatio(
+			record.errorRate
+		)} · SC rate ${formatRatio(record.scRate)} · Level: ${record.level || "–"}`;
+	}
+}
+
+export function showRunningRecord(show) {
+	document.getElementById("readingPane")?.classList.toggle("hidden", show);
+	document.getElementById("runningRecordPane")?.classList.toggle("hidden", !show);
+	const btn = document.getElementById("runningRecordBtn");
+	if (btn) btn.textContent = show ? "Reader view" : "Running record";
+}
+
+export function updateTimingView({ meanLatencyMs, hesitations, sentenceRates }, sentences) {
+	const lat = document.getElementById("mLatency");
+	if (lat) lat.textContent = isFinite(meanLatencyMs) ? `${(meanLatencyMs / 1000).toFixed(2)}s` : "–";
+	const hes = document.getElementById("mHesitations");
+	if (hes) hes.textContent = String(hesitations.length);
+	renderBarChart(document.getElementById("rateChart"), rateBars(sentenceRates, sentences), {
+		empty: "Reading rate appears once words are timed",
+	});
+}
+
+const MAX_RATE_BARS = 40;
+
+// One bar per sentence; in longer texts neighbouring sentences share a bar
+// with their combined rate
+function rateBars(sentenceRates, sentences) {
+	const per = Math.ceil(sentenceRates.length / MAX_RATE_BARS);
+	if (per <= 1) {
+		return sentenceRates.map((r) => ({
+			label: sentences[r.id]?.preview || `Sentence ${r.id + 1}`,
+			value: r.wpm,
+		}));
+	}
+	const bars = [];
+	for (let i = 0; i < sentenceRates.length; i += per) {
+		const group = sentenceRates.slice(i, i + per);
+		let words = 0;
+		let minutes = 0;
+		for (const r of group) {
+			if (!(r.minutes > 0)) continue;
+			words += r.words;
+			minutes += r.minutes;
+		}
+		bars.push({
+			label: `Sentences ${group[0].id + 1}–${group[group.length - 1].id + 1}`,
+			value: minutes > 0 ? words / minutes : NaN,
+		});
+	}
+	return bars;
+}
+
+export function setProbeCountdown(secondsLeft) {
+	const el = document.getElementById("probeCountdown");
+	if (el) el.textContent = secondsLeft == null ? "" : `${Math.max(0, Math.ceil(secondsLeft))}s left`;
 }
 
-export function setTokenTitle(container, tokenIndex, title) {
-	const el = container.querySelector(`.token.word[data-index="${tokenIndex}"]`);
-	if (el) el.title = title || "";
+export function showProbeResult(result, comparison) {
+	const el = document.getElementById("probeResult");
+	if (!el) return;
+	if (!result) {
+		el.textContent = "";
+		return;
+	}
+	const wcpm = isFinite(result.wcpm) ? result.wcpm.toFixed(0) : "–";
+	let text = `WCPM ${wcpm} (${result.attempted} attempted, ${result.errors} errors in ${Math.round(
+		result.durationSec
+	)}s)`;
+	if (comparison) text += ` · ${comparison.band} (≈${comparison.percentile}th; median ${comparison.median})`;
+	el.textContent = text;
 }
 
 export function setASRStatus(statusText) {
@@ -116,23 +269,193 @@ export function setLastHeard(text) {
 	if (el) el.textContent = text || "–";
 }
 
-export function renderSentences(sentences, currentPointerIdx) {
+// The sentence list is rendered like the reader view (see tokenView.js):
+// sentences are grouped into blocks, and only blocks in or near the visible
+// part of the list hold items; the others are placeholders of their
+// measured or estimated height.
+const SENTENCE_BLOCK = 50; // sentences per block
+const SENTENCE_BUFFER_PX = 300; // rendered above and below the visible region
+const DEFAULT_SENTENCE_PX = 30; // item height estimate until a block has been measured
+
+let sentenceList = null;
+
+// difficulty: per-sentence readability (see readability.js), shown as a grade
+export function renderSentences(sentences, currentPointerIdx, difficulty = []) {
 	const list = document.getElementById("sentencesList");
 	if (!list) return;
-	list.innerHTML = "";
-	const frag = document.createDocumentFragment();
-	const currentSentenceId = sentences.find(
-		(s) => s.startIndex <= currentPointerIdx && currentPointerIdx <= s.endIndex
-	)?.id;
-	for (const s of sentences) {
+	if (sentenceList?.list !== list) sentenceList = new SentenceList(list);
+	sentenceList.setSentences(sentences, difficulty);
+	updateActiveSentence(sentences, currentPointerIdx);
+}
+
+// Highlight the sentence holding the pointer without rebuilding the list,
+// which has one item per sentence of the whole text
+export function updateActiveSentence(sentences, currentPointerIdx) {
+	sentenceList?.setActive(sentenceAt(sentences, currentPointerIdx));
+}
+
+class SentenceList {
+	constructor(list) {
+		this.list = list;
+		this.sentences = [];
+		this.difficulty = [];
+		this.blocks = []; // { start, end, height, measured, el, mounted }
+		this.items = []; // sentence id → item while its block is mounted
+		this.active = -1;
+		this._measuredPx = 0;
+		this._measuredItems = 0;
+		this._itemPx = DEFAULT_SENTENCE_PX; // item height of the estimates
+		this._frame = 0;
+		list.addEventListener("scroll", () => this._schedule(), { passive: true });
+		// Widths change line wrapping; showing a hidden pane gives it a size
+		if (typeof ResizeObserver !== "undefined") {
+			new ResizeObserver(() => {
+				this._measuredPx = this._measuredItems = 0;
+				for (const b of this.blocks) {
+					b.measured = false;
+					if (b.mounted) this._measure(b);
+				}
+				this._schedule();
+			}).observe(list);
+		}
+	}
+
+	setSentences(sentences, difficulty) {
+		this.sentences = sentences;
+		this.difficulty = difficulty;
+		this.items = new Array(sentences.length);
+		this.active = -1;
+		this.blocks = [];
+		this._measuredPx = this._measuredItems = 0;
+		this._itemPx = DEFAULT_SENTENCE_PX;
+		const frag = document.createDocumentFragment();
+		for (let start = 0; start < sentences.length; start += SENTENCE_BLOCK) {
+			const end = Math.min(start + SENTENCE_BLOCK, sentences.length) - 1;
+			const b = { start, end, height: 0, measured: false, el: document.createElement("div"), mounted: false };
+			b.el.className = "sentence-block";
+			this._setHeight(b, this._estimate(b));
+			this.blocks.push(b);
+			frag.appendChild(b.el);
+		}
+		this.list.replaceChildren(frag);
+		this.list.scrollTop = 0;
+		this._update();
+	}
+
+	setActive(id) {
+		if (id === this.active) return;
+		this.items[this.active]?.classList.remove("active");
+		this.active = id;
+		this.items[id]?.classList.add("active");
+	}
+
+	_schedule() {
+		if (this._frame) return;
+		this._frame = requestAnimationFrame(() => {
+			this._frame = 0;
+			this._update();
+		});
+	}
+
+	// Mount the blocks near the visible region and empty the others, keeping
+	// the items on screen in place as blocks above them change height
+	_update() {
+		const viewHeight = this.list.clientHeight;
+		if (!viewHeight) {
+			// Hidden: keep the first block for when it is shown
+			if (!this.blocks.some((b) => b.mounted)) this._mount(this.blocks[0]);
+			return;
+		}
+		const top = this.list.scrollTop;
+		const itemPx = this._measuredItems ? this._measuredPx / this._measuredItems : this._itemPx;
+		const reestimate = Math.abs(itemPx - this._itemPx) > this._itemPx / 10;
+		if (reestimate) this._itemPx = itemPx;
+		let y = 0;
+		let shift = 0;
+		for (const b of this.blocks) {
+			const before = b.height;
+			const near = y + before >= top - SENTENCE_BUFFER_PX && y <= top + viewHeight + SENTENCE_BUFFER_PX;
+			if (near && !b.mounted) this._mount(b);
+			else if (!near && b.mounted) this._unmount(b);
+			else if (reestimate && !b.mounted && !b.measured) this._setHeight(b, this._estimate(b));
+			if (y < top) shift += b.height - before;
+			y += b.height;
+		}
+		if (shift) this.list.scrollTop += shift;
+	}
+
+	_mount(b) {
+		if (!b || b.mounted) return;
+		b.mounted = true;
+		const frag = document.createDocumentFragment();
+		for (let i = b.start; i <= b.end; i++) {
+			this.items[i] = this._item(this.sentences[i]);
+			frag.appendChild(this.items[i]);
+		}
+		b.el.replaceChildren(frag);
+		b.el.style.height = "";
+		this._measure(b);
+	}
+
+	_unmount(b) {
+		this._measure(b);
+		b.mounted = false;
+		for (let i = b.start; i <= b.end; i++) this.items[i] = undefined;
+		b.el.replaceChildren();
+		this._setHeight(b, b.height);
+	}
+
+	// Without layout (hidden pane) a block keeps its previous height
+	_measure(b) {
+		const h = b.el.offsetHeight;
+		if (!h) return;
+		b.height = h;
+		if (!b.measured) {
+			b.measured = true;
+			this._measuredPx += h;
+			this._measuredItems += b.end - b.start + 1;
+		}
+	}
+
+	_setHeight(b, px) {
+		b.height = px;
+		b.el.style.height = `${px}px`;
+	}
+
+	_estimate(b) {
+		return Math.round((b.end - b.start + 1) * this._itemPx);
+	}
+
+	_item(s) {
 		const div = document.createElement("div");
-		div.className =
-			"sentence-item" + (currentSentenceId === s.id ? " active" : "");
+		div.className = "sentence-item";
+		if (s.id === this.active) div.classList.add("active");
 		div.textContent = s.preview || "(empty)";
 		div.dataset.sentenceId = String(s.id);
-		frag.appendChild(div);
+		const d = this.difficulty[s.id];
+		if (d && isFinite(d.grade)) {
+			const badge = document.createElement("span");
+			badge.className = "sentence-grade";
+			badge.textContent = d.grade.toFixed(1);
+			badge.title = `Grade ${d.grade.toFixed(1)} · ${d.words} words · ${d.syllables} syllables · ${d.rareWords} rare`;
+			div.appendChild(badge);
+		}
+		return div;
 	}
-	list.appendChild(frag);
+}
+
+// Sentence containing token idx, or -1; sentences are in text order
+function sentenceAt(sentences, idx) {
+	let lo = 0;
+	let hi = sentences.length - 1;
+	while (lo <= hi) {
+		const mid = (lo + hi) >> 1;
+		const s = sentences[mid];
+		if (idx < s.startIndex) hi = mid - 1;
+		else if (idx > s.endIndex) lo = mid + 1;
+		else return s.id;
+	}
+	return -1;
 }
 
 export function bindSentenceClicks(onClick) {
@@ -141,7 +464,7 @@ export function bindSentenceClicks(onClick) {
 	list.addEventListener("click", (e) => {
 		const t = e.target;
 		if (!(t instanceof HTMLElement)) return;
-		const id = t.dataset.sentenceId;
+		const id = t.closest("[data-sentence-id]")?.dataset.sentenceId;
 		if (id != null) onClick(Number(id));
 	});
 }
@@ -150,3 +473,15 @@ export function showDriftBanner(show) {
 	const b = document.getElementById("driftBanner");
 	if (b) b.classList.toggle("hidden", !show);
 }
+
+export function showResumeBanner(show, { completed = 0, total = 0, elapsedSec = 0 } = {}) {
+	const b = document.getElementById("resumeBanner");
+	if (!b) return;
+	b.classList.toggle("hidden", !show);
+	const info = document.getElementById("resumeInfo");
+	if (info && show) {
+		const mins = Math.floor(elapsedSec / 60);
+		const secs = Math.floor(elapsedSec % 60);
+		info.textContent = `${completed} / ${total} words, ${mins}m ${secs}s elapsed.`;
+	}
+}
@@ -0,0 +1,100 @@
+// Undo/redo history of marking. Each entry holds the before and after state
+// of the words it changed, plus the pointer and the decision history, so
+// undo and redo put back exactly what was shown: manual marks, words the
+// aligner marked for a phrase, pointer jumps and backtracks alike.
+
+// Word fields an entry restores
+const WORD_FIELDS = ["status", "title", "heard", "attempt", "miscues", "readAt", "note"];
+const MAX_ENTRIES = 200;
+
+function wordState(t) {
+	const state = {};
+	for (const f of WORD_FIELDS) state[f] = t[f];
+	return state;
+}
+
+export class UndoHistory {
+	/**
+	 * @param {object} view page state outside the words:
+	 *   capture() → { pointer, decisions }, restore(captured) and
+	 *   restoreWord(idx) to redraw a word after its fields were put back
+	 */
+	constructor(view) {
+		this.view = view;
+		this.reset([]);
+	}
+
+	// Forget all entries; the tokens as they are now are as far back as undo goes
+	reset(tokens) {
+		this.tokens = tokens;
+		this.known = tokens.map(wordState); // word states as of the last entry
+		this.undoStack = [];
+		this.redoStack = [];
+		this.entry = null;
+	}
+
+	// Start an entry; changes until the next begin() or end() belong to it
+	begin(label) {
+		this.end();
+		this.entry = { label, words: new Map(), before: this.view.capture() };
+	}
+
+	/**
+	 * Note that the word at idx changes. May be called before or after the
+	 * change: the state before comes from the last entry. Changes outside
+	 * begin/end (aligner results arriving from the worker) open an entry
+	 * that the next end() closes.
+	 */
+	touch(idx) {
+		if (!this.entry) this.begin("align");
+		if (!this.entry.words.has(idx)) this.entry.words.set(idx, { before: this.known[idx] });
+	}
+
+	end() {
+		const entry = this.entry;
+		if (!entry) return;
+		this.entry = null;
+		entry.after = this.view.capture();
+		for (const [idx, word] of entry.words) {
+			word.after = wordState(this.tokens[idx]);
+			this.known[idx] = word.after;
+		}
+		if (!entry.words.size && entry.after.pointer === entry.before.pointer) return;
+		this.undoStack.push(entry);
+		if (this.undoStack.length > MAX_ENTRIES) this.undoStack.shift();
+		this.redoStack = [];
+	}
+
+	// Returns the entry undone, or null if there was none
+	undo() {
+		this.end();
+		const entry = this.undoStack.pop();
+		if (!entry) return null;
+		this._apply(entry, "before");
+		this.redoStack.push(entry);
+		return entry;
+	}
+
+	redo() {
+		this.end();
+		const entry = this.redoStack.pop();
+		if (!entry) return null;
+		this._apply(entry, "after");
+		this.undoStack.push(entry);
+		return entry;
+	}
+
+	_apply(entry, side) {
+		for (const [idx, word] of entry.words) {
+			const t = this.tokens[idx];
+			const state = word[side];
+			for (const f of WORD_FIELDS) {
+				if (state[f] === undefined) delete t[f];
+				else t[f] = state[f];
+			}
+			this.known[idx] = state;
+			this.view.restoreWord(idx);
+		}
+		this.view.restore(entry[side]);
+	}
+}
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize } from "./tokenize.js";
+import { UndoHistory } from "./undoHistory.js";
+
+// History over a passage, with the pointer as the page state
+function setup(text = "one two three") {
+	const tokens = tokenize(text);
+	const page = { pointer: 0, redrawn: [] };
+	const history = new UndoHistory({
+		capture: () => ({ pointer: page.pointer }),
+		restore: ({ pointer }) => (page.pointer = pointer),
+		restoreWord: (idx) => page.redrawn.push(idx),
+	});
+	history.reset(tokens);
+	return { tokens, page, history };
+}
+
+test("undo and redo put back words and the pointer", () => {
+	const { tokens, page, history } = setup();
+	history.begin("mark");
+	history.touch(0);
+	tokens[0].status = "correct";
+	tokens[0].heard = "one";
+	page.pointer = 2;
+	history.end();
+
+	assert.equal(history.undo().label, "mark");
+	assert.equal(tokens[0].status, "pending");
+	assert.equal("heard" in tokens[0], false);
+	assert.equal(page.pointer, 0);
+	assert.deepEqual(page.redrawn, [0]);
+
+	history.redo();
+	assert.equal(tokens[0].status, "correct");
+	assert.equal(tokens[0].heard, "one");
+	assert.equal(page.pointer, 2);
+	assert.equal(history.redo(), null);
+});
+
+test("a word touched after it changed is restored from the last entry", () => {
+	const { tokens, history } = setup();
+	history.begin("mark");
+	history.touch(0);
+	tokens[0].status = "incorrect";
+	history.end();
+	// Aligner results: changed first, touched after, outside begin/end
+	tokens[0].status = "selfcorrected";
+	history.touch(0);
+	history.end();
+	assert.equal(history.undo().label, "align");
+	assert.equal(tokens[0].status, "incorrect");
+	history.undo();
+	assert.equal(tokens[0].status, "pending");
+});
+
+test("an entry that changed nothing is not kept, a new one clears redo", () => {
+	const { tokens, history } = setup();
+	history.begin("nothing");
+	history.end();
+	assert.equal(history.undo(), null);
+
+	history.begin("first");
+	history.touch(0);
+	tokens[0].status = "correct";
+	history.end();
+	history.undo();
+	history.begin("second");
+	history.touch(2);
+	tokens[2].status = "skipped";
+	history.end();
+	assert.equal(history.redo(), null);
+	assert.equal(history.undo().label, "second");
+	assert.equal(history.undo(), null);
+});
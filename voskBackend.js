@@ -0,0 +1,133 @@
+// Offline speech recognition backend using Vosk (Kaldi compiled to WASM).
+// Audio never leaves the device; the user supplies the model archive.
+import { SpeechBackend } from "./speech.js";
+
+// vosk-browser is a UMD bundle that registers globalThis.Vosk; load it on demand
+async function loadVosk() {
+  if (!globalThis.Vosk) await import("vosk-browser");
+  if (!globalThis.Vosk) throw new Error("vosk-browser failed to load");
+  return globalThis.Vosk;
+}
+
+export class VoskBackend extends SpeechBackend {
+  constructor() {
+    super();
+    const AC = window.AudioContext || window.webkitAudioContext;
+    this.supported = !!(AC && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    this._AC = AC || null;
+    this.modelFile = null; // Blob/File with a Vosk model archive (.tar.gz or .zip)
+    this.model = null;
+    this.recognizer = null;
+    this.ctx = null;
+    this.stream = null;
+    this.source = null;
+    this.processor = null;
+    this._audioStartedAt = 0;
+  }
+
+  // The recognition language is defined by the model file
+  setModelFile(file) {
+    if (this.running) this.stop();
+    if (this.model) {
+      this.model.terminate();
+      this.model = null;
+    }
+    this.modelFile = file || null;
+  }
+
+  async start() {
+    if (!this.supported) {
+      this._emitStatus('unsupported');
+      return;
+    }
+    if (this.running || this._starting) return;
+    if (!this.modelFile) {
+      this._emitStatus('error: no model file selected');
+      return;
+    }
+    this._starting = true;
+    try {
+      if (!this.model) {
+        this._emitStatus('loading model');
+        const Vosk = await loadVosk();
+        const url = URL.createObjectURL(this.modelFile);
+        try {
+          this.model = await Vosk.createModel(url);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      }
+      this._emitStatus('starting');
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 },
+      });
+      this.ctx = new this._AC();
+      this.recognizer = new this.model.KaldiRecognizer(this.ctx.sampleRate);
+      this.recognizer.setWords(true);
+      this.recognizer.on('partialresult', (message) => {
+        const text = message.result && message.result.partial;
+        if (text) this._emitPartial(text, { receivedAt: Date.now() });
+      });
+      this.recognizer.on('result', (message) => {
+        const result = message.result || {};
+        if (!result.text) return;
+        // Vosk reports word start times in seconds of processed audio
+        const words = result.result || [];
+        const wordTimes = words.map((w) => this._audioStartedAt + w.start * 1000);
+        const wordConfidences = words.map((w) => w.conf);
+        this._emitFinal(result.text, { receivedAt: Date.now(), wordTimes, wordConfidences });
+      });
+
+      this.source = this.ctx.createMediaStreamSource(this.stream);
+      // ScriptProcessorNode is deprecated but is what vosk-browser consumes (AudioBuffer)
+      this.processor = this.ctx.createScriptProcessor(4096, 1, 1);
+      this.processor.onaudioprocess = (event) => {
+        try { this.recognizer && this.recognizer.acceptWaveform(event.inputBuffer); } catch (_) {}
+      };
+      this.source.connect(this.processor);
+      this.processor.connect(this.ctx.destination);
+      this._audioStartedAt = Date.now();
+      this.running = true;
+      this._emitStatus('listening');
+    } catch (e) {
+      this._teardown();
+      this._emitStatus(`error: ${e && e.message ? e.message : 'failed to start'}`);
+    } finally {
+      this._starting = false;
+    }
+  }
+
+  stop() {
+    const recognizer = this.recognizer;
+    this.recognizer = null;
+    this._teardownAudio();
+    if (recognizer) {
+      // Flush the last utterance; the result arrives asynchronously from the worker
+      try { recognizer.retrieveFinalResult(); } catch (_) {}
+      setTimeout(() => {
+        try { recognizer.remove(); } catch (_) {}
+      }, 1000);
+    }
+    this.running = false;
+    this._emitStatus('stopped');
+  }
+
+  _teardown() {
+    this._teardownAudio();
+    if (this.recognizer) {
+      try { this.recognizer.remove(); } catch (_) {}
+    }
+    this.recognizer = null;
+  }
+
+  _teardownAudio() {
+    try { this.processor && this.processor.disconnect(); } catch (_) {}
+    try { this.source && this.source.disconnect(); } catch (_) {}
+    if (this.stream) this.stream.getTracks().forEach((t) => t.stop());
+    if (this.ctx) this.ctx.close().catch(() => {});
+    this.processor = null;
+    this.source = null;
+    this.stream = null;
+    this.ctx = null;
+  }
+}